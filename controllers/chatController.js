@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const ChatReport = require('../models/ChatReport');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const { body, validationResult } = require('express-validator');
+const { CHAT, filterMessage, checkRateLimit, isValidChannel } = require('../utils/chat');
+const { emitChatMessage } = require('../utils/socketHelpers');
+
+// Only a game's players may read or write its chat - spectators could relay hands
+async function canUseChannel(channel, userId) {
+  if (!isValidChannel(channel)) return false;
+  if (channel === 'lobby') return true;
+
+  return !!(await Game.exists({ _id: channel.slice('game-'.length), 'players.id': userId }));
+}
+
+// Socket 'chatMessage' handler - payload: { channel, text }
+// Returns ack({ ok: true, message }) or ack({ ok: false, error: { code, message } })
+exports.sendMessage = async (userId, payload) => {
+  try {
+    const { channel, text } = payload || {};
+
+    if (typeof text !== 'string' || !text.trim() || text.length > CHAT.MAX_LENGTH) {
+      return { ok: false, error: { code: 'INVALID_MESSAGE', message: `Messages must be 1-${CHAT.MAX_LENGTH} characters` } };
+    }
+
+    if (!(await canUseChannel(channel, userId))) {
+      return { ok: false, error: { code: 'INVALID_CHANNEL', message: 'You cannot chat in this channel' } };
+    }
+
+    if (!(await checkRateLimit(userId))) {
+      return { ok: false, error: { code: 'RATE_LIMITED', message: 'You are sending messages too quickly' } };
+    }
+
+    const user = await User.findById(userId).select('username chatMutedUntil');
+
+    if (!user) {
+      return { ok: false, error: { code: 'USER_NOT_FOUND', message: 'User not found' } };
+    }
+
+    if (user.chatMutedUntil && user.chatMutedUntil > Date.now()) {
+      return { ok: false, error: { code: 'MUTED', message: `You are muted until ${user.chatMutedUntil.toISOString()}` } };
+    }
+
+    const { text: cleanText, filtered } = filterMessage(text.trim());
+    const message = await ChatMessage.create({
+      channel,
+      userId,
+      username: user.username,
+      text: cleanText,
+      filtered
+    });
+
+    emitChatMessage(channel, message);
+
+    return { ok: true, message };
+  } catch (error) {
+    console.error('Chat message error:', error);
+    return { ok: false, error: { code: 'SERVER_ERROR', message: 'Server error sending message' } };
+  }
+};
+
+// @route   GET /api/chat/:channel
+// @desc    Get recent messages for a channel
+// @access  Private
+exports.getHistory = async (req, res) => {
+  try {
+    const { channel } = req.params;
+
+    if (!(await canUseChannel(channel, req.user.id))) {
+      return res.status(403).json({ error: 'You cannot read this channel' });
+    }
+
+    const messages = await ChatMessage.find({ channel })
+      .sort({ createdAt: -1 })
+      .limit(CHAT.HISTORY_LIMIT);
+
+    res.json(messages.reverse());
+  } catch (error) {
+    console.error('Get chat history error:', error);
+    res.status(500).json({ error: 'Server error getting chat history' });
+  }
+};
+
+// @route   POST /api/chat/messages/:id/report
+// @desc    Report a chat message to the admins
+// @access  Private
+exports.reportMessage = [
+  body('reason').optional().isString().isLength({ max: 200 }).withMessage('Reason must be at most 200 characters'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      const message = await ChatMessage.findById(req.params.id);
+
+      if (!message || !(await canUseChannel(message.channel, req.user.id))) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      if (message.userId.toString() === req.user.id) {
+        return res.status(400).json({ error: 'You cannot report your own message' });
+      }
+
+      if (await ChatReport.exists({ message: message._id, reportedBy: req.user.id })) {
+        return res.status(400).json({ error: 'You already reported this message' });
+      }
+
+      const report = await ChatReport.create({
+        message: message._id,
+        channel: message.channel,
+        text: message.text,
+        reportedUser: message.userId,
+        reportedBy: req.user.id,
+        reason: req.body.reason || ''
+      });
+
+      res.json({ message: 'Message reported', id: report._id });
+    } catch (error) {
+      console.error('Report message error:', error);
+      res.status(500).json({ error: 'Server error reporting message' });
+    }
+  }
+];
+
+// @route   GET /api/chat/reports
+// @desc    Get chat reports to review (admin only)
+// @access  Private/Admin
+exports.getReports = async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+
+    const reports = await ChatReport.find({ status })
+      .populate('reportedUser', 'username chatMutedUntil')
+      .populate('reportedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(reports);
+  } catch (error) {
+    console.error('Get chat reports error:', error);
+    res.status(500).json({ error: 'Server error getting chat reports' });
+  }
+};
+
+// @route   PUT /api/chat/reports/:id
+// @desc    Dismiss a report, or act on it by muting the reported user (admin only)
+// @access  Private/Admin
+exports.reviewReport = [
+  body('action').isIn(['dismiss', 'mute']).withMessage('Action must be dismiss or mute'),
+  body('minutes').optional().isInt({ min: 1, max: 60 * 24 * 30 }).withMessage('Mute must be 1 minute to 30 days'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      const report = await ChatReport.findById(req.params.id);
+
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      if (report.status !== 'open') {
+        return res.status(400).json({ error: 'Report has already been reviewed' });
+      }
+
+      if (req.body.action === 'mute') {
+        await muteUser(report.reportedUser, req.body.minutes, report.reason || 'Reported chat message');
+      }
+
+      report.status = req.body.action === 'mute' ? 'actioned' : 'dismissed';
+      report.reviewedBy = req.user.id;
+      report.reviewedAt = Date.now();
+      await report.save();
+
+      res.json(report);
+    } catch (error) {
+      console.error('Review chat report error:', error);
+      res.status(500).json({ error: 'Server error reviewing chat report' });
+    }
+  }
+];
+
+// @route   POST /api/chat/users/:userId/mute
+// @desc    Mute a user in chat (admin only)
+// @access  Private/Admin
+exports.muteUser = [
+  body('minutes').optional().isInt({ min: 1, max: 60 * 24 * 30 }).withMessage('Mute must be 1 minute to 30 days'),
+  body('reason').optional().isString().isLength({ max: 200 }),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await muteUser(req.params.userId, req.body.minutes, req.body.reason);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ userId: user._id, chatMutedUntil: user.chatMutedUntil, chatMuteReason: user.chatMuteReason });
+    } catch (error) {
+      console.error('Mute user error:', error);
+      res.status(500).json({ error: 'Server error muting user' });
+    }
+  }
+];
+
+// @route   DELETE /api/chat/users/:userId/mute
+// @desc    Lift a user's chat mute (admin only)
+// @access  Private/Admin
+exports.unmuteUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $unset: { chatMutedUntil: 1, chatMuteReason: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'User unmuted', userId: user._id });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ error: 'Server error unmuting user' });
+  }
+};
+
+async function muteUser(userId, minutes = CHAT.DEFAULT_MUTE, reason = '') {
+  if (!mongoose.isValidObjectId(userId)) return null;
+
+  return User.findByIdAndUpdate(
+    userId,
+    { chatMutedUntil: new Date(Date.now() + minutes * 60 * 1000), chatMuteReason: reason },
+    { new: true }
+  );
+}
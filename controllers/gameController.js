@@ -1,25 +1,56 @@
+const mongoose = require('mongoose');
 const  Game = require('../models/Game');
 const User = require('../models/User');
 const Table = require('../models/Table');
-const { createDeck, dealCards, calculateHandScore, removeCardById, needsReshuffle, reshuffleDeck } = require('../utils/cards');
-const { canPlayerDrop, calculateWinningMultiplier, wouldHitSpread, applyHitPenalties, isValidMove } = require('../utils/gameRules');
-const { decideDrawSource, decideCardToDiscard, shouldDrop, getAIPersonality, getAIThinkingTime } = require('../utils/ai');
-const { emitGameUpdate, emitLobbyUpdate } = require('../utils/socketHelpers');
+const RuleSet = require('../models/RuleSet');
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
+const { snapshotRules, getRules, isValidMove } = require('../utils/gameRules');
+const { sortCardsByValue } = require('../utils/cards');
+const { createInitialState, applyAction } = require('../utils/engine');
+const { generateServerSeed, generateClientSeed, hashSeed, createSeededRng, deriveHandSeed, deriveDeckOrder, deriveReshuffle } = require('../utils/fairness');
+const { AI_DIFFICULTY, decideDrawSource, decideCardToDiscard, shouldDrop, shouldPlaySpread, decideHit, getAIPersonality, getAIThinkingTime } = require('../utils/ai');
+const { searchMove } = require('../utils/ismcts');
+const { getTurnDeadline, playTimedOutTurn } = require('../utils/turnTimer');
+const { settlePot } = require('../utils/settlement');
+const { QUEUE, getQueueDeadline, isQueueReady, buildQueueStatus } = require('../utils/matchmaking');
+const { takeSeat, standUp, releaseTable, isSeated } = require('../utils/tableSeats');
+const { recordHand, isMatchOver, getMatchWinners, getFirstPlayerIndex } = require('../utils/matches');
+const { getLevelStake, seatRound, getAlivePlayers, recordTournamentHand, isTableFinished, finishTable, isRoundFinished, completeTournament, getTournamentView } = require('../utils/tournaments');
+const { sanitizeGameForPlayer } = require('../utils/gameView');
+const { PRESENCE, isOnline, isGraceExpired } = require('../utils/presence');
+const { GAME_LOCK, withGameLock } = require('../utils/gameLocks');
+const { SPECTATOR_DELAY, getPlayerRoom, addSpectator, removeSpectator, getNonPlayerView, emitGameSnapshot, emitGameUpdate, emitGameEnd, emitPlayerAction, emitTurnTimer, emitLobbyUpdate, emitTournamentUpdate } = require('../utils/socketHelpers');
+const { publishTable } = require('../utils/lobby');
+
+// What leaving does to a player's money - sent back with every leave so the client can show it.
+// Before the deal the stake is refunded. After it, the stake stays in the pot: the leaver can't win
+// the hand and owes nothing more on it (no multiplier bonus, no caught-drop penalty).
+const LEAVE_POLICY = {
+  WAITING: 'The game had not started, so your stake was refunded in full.',
+  HAND: 'Your stake stays in the pot for the winner of this hand. An AI finishes the hand for you; you cannot win it and will not be charged anything more.',
+  MATCH: 'Your match stake stays in the match pot. An AI plays your seat for the rest of the match; you cannot win it and will not be charged anything more.',
+  TOURNAMENT: 'You are out of the tournament. Your buy-in stays in the prize pool and your chips leave play.'
+};
 
 // @route   POST /api/games
 // @desc    Create a new game
 // @access  Private
 exports.createGame = async (req, res) => {
   try {
-    const { stake } = req.body;
+    const { stake, clientSeed } = req.body;
     
     // Validate stake
     if (!stake || typeof stake !== 'number' || stake <= 0) {
       return res.status(400).json({ error: 'Valid stake amount required' });
     }
     
+    if (clientSeed !== undefined && !isValidClientSeed(clientSeed)) {
+      return res.status(400).json({ error: 'Client seed must be a string of 1-64 characters' });
+    }
+    
     // Check if user has sufficient balance
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id).select('+nextServerSeed');
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -29,86 +60,46 @@ exports.createGame = async (req, res) => {
       return res.status(400).json({ error: 'Insufficient balance' });
     }
     
-    // Deduct stake from user's balance
-    user.balance -= stake;
-    await user.save();
+    if (await isSeated(user._id.toString())) {
+      return res.status(400).json({ error: 'Already seated at a table' });
+    }
     
-    // Create a new deck
-    const deck = createDeck();
+    if (await Tournament.hasActiveEntry(user._id.toString())) {
+      return res.status(400).json({ error: 'Already entered in a tournament' });
+    }
     
-    // Set up players (1 human + 3 AI)
-    const players = [
-      {
-        id: user._id.toString(),
-        username: user.username,
-        isAI: false,
-        hand: [],
-        isDropped: false,
-        canDrop: false,
-        score: 0,
-        penalties: 0,
-        hitCount: 0,
-        avatar: user.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(user.username)}&background=0D8ABC&color=fff`
-      }
-    ];
-    
-    // Add AI players with different personalities
-    for (let i = 0; i < 3; i++) {
-      const personality = getAIPersonality(`ai-${i + 1}`);
-      players.push({
-        id: `ai-${i + 1}`,
-        username: `${personality.name} AI`,
-        isAI: true,
-        hand: [],
-        isDropped: false,
-        canDrop: false,
-        score: 0,
-        penalties: 0,
-        hitCount: 0,
-        avatar: `https://ui-avatars.com/api/?name=AI&background=777777&color=fff`
-      });
+    // A client seed only counts if the server seed it is mixed with was committed to first
+    if (clientSeed !== undefined && !user.nextServerSeed) {
+      return res.status(400).json({ error: 'Get your server seed hash (GET /api/games/seed) before picking a client seed' });
+    }
+    
+    // Deduct stake from user's balance
+    if (!await User.chargeBalance(user._id, stake)) {
+      return res.status(400).json({ error: 'Insufficient balance' });
     }
     
-    // Deal cards to players
-    const { hands, deck: remainingDeck } = dealCards(deck, 4);
+    // Take a whole free table at this stake - the other seats go to AI
+    const players = createSeats(user, stake);
+    const sat = await takeSeat({ amount: stake, currentPlayers: 0 }, players[0], 0, { status: 'playing' });
     
-    // Assign hands to players
-    for (let i = 0; i < players.length; i++) {
-      players[i].hand = hands[i];
-      players[i].score = calculateHandScore(players[i].hand);
+    if (!sat) {
+      await User.creditBalance(user._id, stake);
+      return res.status(400).json({ error: 'No free table at this stake' });
     }
     
-    // Create discard pile with top card from deck
-    const discardPile = [remainingDeck.pop()];
+    // Snapshot the table's rules, so later rule changes never affect this game
+    const rules = snapshotRules(await RuleSet.findById(sat.table.ruleSet));
     
-    // Create new game
-    const game = new Game({
+    // Deal the hand (human player goes first)
+    const game = await startHand({
       players,
-      currentPlayerIndex: 0, // Human player goes first
-      deck: remainingDeck,
-      discardPile,
-      status: 'playing',
       stake,
-      pot: stake * 4,
-      gameStarted: true,
-      turnStartTime: Date.now()
+      rules,
+      table: sat.table,
+      clientSeed,
+      serverSeed: await useCommittedSeed(user)
     });
     
-    // Check if players can drop on first turn
-    for (let i = 0; i < players.length; i++) {
-      players[i].canDrop = canPlayerDrop(players[i], true);
-    }
-    
-    await game.save();
-    
-    // Find and update the table with appropriate stake
-    const table = await Table.findOne({ amount: stake });
-    if (table) {
-      table.currentPlayers += 1;
-      table.activeGames.push(game._id);
-      await table.save();
-    }
-    
     // Emit lobby update
     emitLobbyUpdate();
     
@@ -124,7 +115,8 @@ exports.createGame = async (req, res) => {
 // @access  Private
 exports.getGameById = async (req, res) => {
   try {
-    const game = await Game.findById(req.params.id);
+    // The server seed is only serialized once the game has ended, so it can be verified afterwards
+    const game = await Game.findById(req.params.id).select('+fairness.serverSeed');
     
     if (!game) {
       return res.status(404).json({ error: 'Game not found' });
@@ -134,8 +126,9 @@ exports.getGameById = async (req, res) => {
     const userId = req.user.id;
     const isPlayer = game.players.some(p => p.id === userId);
     
+    // Everyone else watches as a spectator, with every hand hidden and the play delayed
     if (!isPlayer) {
-      return res.status(403).json({ error: 'Access denied' });
+      return res.json(getNonPlayerView(game));
     }
     
     res.json(sanitizeGameForPlayer(game, userId));
@@ -145,19 +138,16 @@ exports.getGameById = async (req, res) => {
   }
 };
 
-// @route   POST /api/games/:id/join
-// @desc    Join an existing game
+// @route   POST /api/games/queue
+// @desc    Join the matchmaking queue for a stake
 // @access  Private
-exports.joinGame = async (req, res) => {
+exports.joinQueue = async (req, res) => {
   try {
-    const game = await Game.findById(req.params.id);
-    
-    if (!game) {
-      return res.status(404).json({ error: 'Game not found' });
-    }
+    const { stake } = req.body;
     
-    if (game.status !== 'waiting') {
-      return res.status(400).json({ error: 'Game has already started' });
+    // Validate stake
+    if (!stake || typeof stake !== 'number' || stake <= 0) {
+      return res.status(400).json({ error: 'Valid stake amount required' });
     }
     
     const user = await User.findById(req.user.id);
@@ -166,451 +156,1567 @@ exports.joinGame = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    if (user.balance < game.stake) {
+    if (user.balance < stake) {
       return res.status(400).json({ error: 'Insufficient balance' });
     }
     
-    // Check if user is already in the game
-    const existingPlayerIndex = game.players.findIndex(p => p.id === user._id.toString());
+    if (await isSeated(user._id.toString())) {
+      return res.status(400).json({ error: 'Already seated at a table' });
+    }
     
-    if (existingPlayerIndex !== -1) {
-      return res.json(sanitizeGameForPlayer(game, user._id.toString()));
+    if (await Tournament.hasActiveEntry(user._id.toString())) {
+      return res.status(400).json({ error: 'Already entered in a tournament' });
     }
     
-    // Check if game is full
-    if (game.players.filter(p => !p.isAI).length >= 4) {
-      return res.status(400).json({ error: 'Game is full' });
+    // Deduct stake from user's balance
+    if (!await User.chargeBalance(user._id, stake)) {
+      return res.status(400).json({ error: 'Insufficient balance' });
     }
     
-    // Find an AI player to replace
-    const aiPlayerIndex = game.players.findIndex(p => p.isAI);
+    // Sit at the fullest open table for this stake
+    const joined = await sitAndJoin(user, stake, { amount: stake });
     
-    if (aiPlayerIndex === -1) {
-      return res.status(400).json({ error: 'No AI player to replace' });
+    if (!joined) {
+      await User.creditBalance(user._id, stake);
+      return res.status(400).json({ error: 'No open table at this stake' });
     }
     
-    // Deduct stake from user's balance
-    user.balance -= game.stake;
-    await user.save();
+    const queue = await emitQueueStatus(stake, joined.started);
+    emitLobbyUpdate();
     
-    // Replace AI player with human player
-    game.players[aiPlayerIndex] = {
-      id: user._id.toString(),
-      username: user.username,
-      isAI: false,
-      hand: game.players[aiPlayerIndex].hand,
-      isDropped: false,
-      canDrop: canPlayerDrop(game.players[aiPlayerIndex], false),
-      score: calculateHandScore(game.players[aiPlayerIndex].hand),
-      penalties: 0,
-      hitCount: 0,
-      avatar: user.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(user.username)}&background=0D8ABC&color=fff`
-    };
+    res.json({
+      game: sanitizeGameForPlayer(joined.game, user._id.toString()),
+      tableId: joined.table.tableId,
+      seat: joined.seat,
+      queue: queue.find(entry => entry.playerId === user._id.toString()) || null
+    });
+  } catch (error) {
+    console.error('Join queue error:', error);
+    res.status(500).json({ error: 'Server error joining queue' });
+  }
+};
+
+// @route   DELETE /api/games/queue
+// @desc    Leave the matchmaking queue and get the stake back
+// @access  Private
+exports.leaveQueue = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const game = await Game.findOne({ status: 'waiting', gameStarted: false, 'players.id': userId }).select('stake tableId');
     
-    await game.save();
+    if (!game) {
+      return res.status(404).json({ error: 'Not in a queue' });
+    }
     
-    // Emit game update to all players
-    emitGameUpdate(game._id.toString(), game);
+    const user = await leaveWaitingGame(game, userId);
     
-    res.json(sanitizeGameForPlayer(game, user._id.toString()));
+    if (!user) {
+      return res.status(400).json({ error: 'Game has already started' });
+    }
+    
+    res.json({ message: 'Left the queue', balance: user.balance });
   } catch (error) {
-    console.error('Join game error:', error);
-    res.status(500).json({ error: 'Server error joining game' });
+    console.error('Leave queue error:', error);
+    res.status(500).json({ error: 'Server error leaving queue' });
   }
 };
 
-// @route   POST /api/games/:id/action
-// @desc    Perform a game action (draw, discard, drop, spread)
+// @route   GET /api/games/queue
+// @desc    Get queue positions and estimated waits for a stake
 // @access  Private
-exports.performAction = async (req, res) => {
+exports.getQueue = async (req, res) => {
   try {
-    const { action, cardId, cardIds, source } = req.body;
-    const userId = req.user.id;
+    const stake = Number(req.query.stake);
+    
+    if (!stake || stake <= 0) {
+      return res.status(400).json({ error: 'Valid stake amount required' });
+    }
+    
+    const waitingGames = await findWaitingGames(stake);
+    
+    res.json({ stake, queue: buildQueueStatus(waitingGames) });
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({ error: 'Server error getting queue' });
+  }
+};
+
+// @route   GET /api/games/seed
+// @desc    Get the server seed hash for your next solo game or match - pick your client seed after seeing it
+// @access  Private
+exports.getSeedCommitment = async (req, res) => {
+  try {
+    // Keep the seed already committed to, so a hash the player has seen is never replaced
+    await User.updateOne({ _id: req.user.id, nextServerSeed: null }, { $set: { nextServerSeed: generateServerSeed() } });
+    
+    const user = await User.findById(req.user.id).select('+nextServerSeed');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({ serverSeedHash: hashSeed(user.nextServerSeed) });
+  } catch (error) {
+    console.error('Get seed commitment error:', error);
+    res.status(500).json({ error: 'Server error getting server seed hash' });
+  }
+};
+
+// @route   POST /api/games/:id/seed
+// @desc    Pick a client seed for a waiting game - every seated player's seed is mixed into the shuffle
+// @access  Private
+exports.setClientSeed = async (req, res) => {
+  try {
+    const { clientSeed } = req.body;
+    
+    if (!isValidClientSeed(clientSeed)) {
+      return res.status(400).json({ error: 'Client seed must be a string of 1-64 characters' });
+    }
     
+    // The waiting game's server seed hash is already public, so the server can't pick its seed to suit this one
+    const result = await Game.updateOne(
+      { _id: req.params.id, status: 'waiting', gameStarted: false, 'players.id': req.user.id },
+      { $set: { 'players.$.clientSeed': clientSeed } }
+    );
+    
+    if (result.matchedCount === 0) {
+      return res.status(400).json({ error: 'Not seated in a waiting game' });
+    }
+    
+    res.json({ message: 'Client seed set', clientSeed });
+  } catch (error) {
+    console.error('Set client seed error:', error);
+    res.status(500).json({ error: 'Server error setting client seed' });
+  }
+};
+
+// @route   POST /api/games/:id/join
+// @desc    Take a seat in a waiting game
+// @access  Private
+exports.joinGame = async (req, res) => {
+  try {
     const game = await Game.findById(req.params.id);
     
     if (!game) {
       return res.status(404).json({ error: 'Game not found' });
     }
     
-    if (game.status !== 'playing') {
-      return res.status(400).json({ error: 'Game is not in progress' });
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Check if user is already in the game
+    if (game.players.some(p => p.id === user._id.toString())) {
+      return res.json(sanitizeGameForPlayer(game, user._id.toString()));
     }
     
-    // Find player index
-    const playerIndex = game.players.findIndex(p => p.id === userId);
+    if (game.status !== 'waiting' || game.gameStarted) {
+      return res.status(400).json({ error: 'Game has already started' });
+    }
     
-    if (playerIndex === -1) {
-      return res.status(400).json({ error: 'Not a player in this game' });
+    if (user.balance < game.stake) {
+      return res.status(400).json({ error: 'Insufficient balance' });
     }
     
-    // Validate move
-    const validation = isValidMove(game, userId, action, { cardId, cardIds, source });
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error });
+    if (game.isPrivate) {
+      return res.status(403).json({ error: 'Private table - sit with its join code' });
     }
     
-    // Get current player
-    const currentPlayer = game.players[playerIndex];
+    if (await isSeated(user._id.toString())) {
+      return res.status(400).json({ error: 'Already seated at a table' });
+    }
     
-    let updatedGame;
+    if (await Tournament.hasActiveEntry(user._id.toString())) {
+      return res.status(400).json({ error: 'Already entered in a tournament' });
+    }
     
-    // Process action
-    switch (action) {
-      case 'draw':
-        updatedGame = await handleDraw(game, playerIndex, source === 'discard');
-        break;
-      
-      case 'discard':
-        updatedGame = await handleDiscard(game, playerIndex, cardId);
-        break;
-      
-      case 'drop':
-        updatedGame = await handleDrop(game, playerIndex);
-        break;
-      
-      case 'spread':
-        updatedGame = await handleSpread(game, playerIndex, cardIds);
-        break;
-      
-      default:
-        return res.status(400).json({ error: 'Invalid action' });
+    // Deduct stake from user's balance
+    if (!await User.chargeBalance(user._id, game.stake)) {
+      return res.status(400).json({ error: 'Insufficient balance' });
     }
     
-    // Process AI turns if game is still in progress
-    if (updatedGame.status === 'playing') {
-      updatedGame = await processAITurns(updatedGame);
+    // Joining a waiting game means sitting at its table
+    const joined = await sitAndJoin(user, game.stake, { tableId: game.tableId });
+    
+    if (!joined) {
+      await User.creditBalance(user._id, game.stake);
+      return res.status(400).json({ error: 'Game is full' });
     }
     
-    // Save the updated game
-    await updatedGame.save();
+    await emitQueueStatus(game.stake, joined.started);
+    emitLobbyUpdate();
+    
+    // Emit game update to all players
+    emitGameUpdate(joined.game._id.toString(), joined.game);
+    
+    res.json(sanitizeGameForPlayer(joined.game, user._id.toString()));
+  } catch (error) {
+    console.error('Join game error:', error);
+    res.status(500).json({ error: 'Server error joining game' });
+  }
+};
+
+// @route   POST /api/games/:id/action
+// @desc    Perform a game action (draw, discard, drop, spread, hit)
+// @access  Private
+exports.performAction = async (req, res) => {
+  try {
+    const result = await playAction(req.params.id, req.user.id, req.body);
     
-    // Emit game update to all players in the room
-    emitGameUpdate(game._id.toString(), updatedGame);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
     
-    res.json(sanitizeGameForPlayer(updatedGame, userId));
+    res.json(sanitizeGameForPlayer(result.game, req.user.id));
   } catch (error) {
     console.error('Perform action error:', error);
     res.status(500).json({ error: error.message || 'Server error performing action' });
   }
 };
 
-// Helper function to handle draw action
-async function handleDraw(game, playerIndex, fromDiscard) {
-  const player = game.players[playerIndex];
-  let drawnCard;
-  
-  // Check draw source
-  if (fromDiscard) {
-    // Drawing from discard pile
-    if (game.discardPile.length === 0) {
-      throw new Error('Discard pile is empty');
+// @route   POST /api/games/:id/leave
+// @desc    Leave a game - see LEAVE_POLICY for what happens to the stake
+// @access  Private
+exports.leaveGame = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Game not found' });
     }
     
-    drawnCard = game.discardPile.shift();
-    player.hand.push(drawnCard);
-  } else {
-    // Drawing from deck
-    if (needsReshuffle(game.deck, game.discardPile)) {
-      const reshuffled = reshuffleDeck(game.deck, game.discardPile);
-      game.deck = reshuffled.deck;
-      game.discardPile = reshuffled.discardPile;
+    const result = await withGameLock(req.params.id, () => forfeitSeat(req.params.id, userId));
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    if (game.deck.length === 0) {
-      throw new Error('No cards available to draw');
+    // Nothing had been dealt yet - same as leaving the queue
+    if (result.refunded) {
+      return res.json({
+        message: 'Left the game',
+        gameId: result.game._id,
+        money: { stake: result.game.stake, refunded: result.game.stake, forfeited: 0, policy: LEAVE_POLICY.WAITING },
+        balance: result.refunded.balance
+      });
     }
     
-    drawnCard = game.deck.pop();
-    player.hand.push(drawnCard);
-  }
-  
-  // Apply hit penalties if drawing from deck
-  if (!fromDiscard) {
-    const penalties = applyHitPenalties(game, drawnCard, player.id);
+    const updatedGame = result.game;
+    
+    // Give up the table seat so the player can sit somewhere else
+    if (updatedGame.tableId) {
+      await standUp(updatedGame.tableId, userId);
+    }
+    
+    emitPlayerAction(updatedGame._id.toString(), userId, 'left', { forfeited: true });
+    emitGameUpdate(updatedGame._id.toString(), updatedGame);
+    emitTurnStart(updatedGame);
+    emitLobbyUpdate();
+    
+    const user = await User.findById(userId).select('balance');
     
-    // Log penalties for game state
-    if (penalties.length > 0) {
-      game.lastAction = {
-        type: 'penalties',
-        player: player.id,
-        penalties: penalties,
-        timestamp: Date.now()
-      };
+    res.json({
+      message: 'Left the game - an AI has taken your seat',
+      gameId: updatedGame._id,
+      money: { ...result.forfeit, refunded: 0 },
+      balance: user?.balance
+    });
+  } catch (error) {
+    if (error.name === 'GameLockError') {
+      return res.status(409).json({ error: error.message });
+    }
+    
+    // The game moved on while leaving
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ error: 'Game changed while leaving - try again' });
     }
+    
+    console.error('Leave game error:', error);
+    res.status(500).json({ error: 'Server error leaving game' });
   }
-  
-  // Update player state
-  player.score = calculateHandScore(player.hand);
-  player.canDrop = canPlayerDrop(player, false);
-  player.hasDrawn = true;
-  
-  // Update game state
-  game.turnStartTime = Date.now();
-  game.lastActionAt = Date.now();
-  
-  return game;
-}
+};
 
-// Helper function to handle discard action
-async function handleDiscard(game, playerIndex, cardId) {
-  const player = game.players[playerIndex];
-  
-  // Find and remove the card from player's hand
-  const cardIndex = player.hand.findIndex(card => card.id === cardId);
+// Take a player out of a game (call with the game's lock held).
+// Returns { game, refunded: user } before the deal, { game, forfeit } after it, or { status, error }.
+async function forfeitSeat(gameId, userId) {
+  const game = await Game.findById(gameId).select('+fairness.serverSeed');
   
-  if (cardIndex === -1) {
-    throw new Error('Card not found in hand');
+  if (!game) {
+    return { status: 404, error: 'Game not found' };
   }
   
-  // Remove card from hand and add to discard pile
-  const card = player.hand.splice(cardIndex, 1)[0];
-  game.discardPile.unshift(card);
-  
-  // Update player state
-  player.score = calculateHandScore(player.hand);
-  player.canDrop = canPlayerDrop(player, false);
-  player.hasDrawn = false;
-  
-  // Decrement penalties for all players
-  game.players.forEach(p => {
-    if (p.penalties > 0) {
-      p.penalties -= 1;
-    }
-    p.canDrop = canPlayerDrop(p, false);
-  });
+  const seat = game.players.find(p => p.id === userId);
   
-  // Move to next player
-  game.currentPlayerIndex = getNextActivePlayer(game, playerIndex);
-  game.turnStartTime = Date.now();
-  game.lastActionAt = Date.now();
-  
-  // Record action
-  game.lastAction = {
-    type: 'discard',
-    player: player.id,
-    card: card,
-    timestamp: Date.now()
-  };
+  if (!seat) {
+    return { status: 400, error: 'Not a player in this game' };
+  }
   
-  return game;
-}
-
-// Helper function to handle drop action
-async function handleDrop(game, playerIndex) {
-  const player = game.players[playerIndex];
+  if (game.status === 'waiting' && !game.gameStarted) {
+    const user = await leaveWaitingGame(game, userId);
+    return user ? { game, refunded: user } : { status: 409, error: 'Game has just started - try again' };
+  }
   
-  // Calculate score and check for special conditions
-  const score = calculateHandScore(player.hand);
-  const isFirstTurn = game.players.every(p => !p.isDropped || p.id === player.id);
-  const multiplier = calculateWinningMultiplier(score, isFirstTurn);
+  if (game.status !== 'playing') {
+    return { status: 400, error: 'Game is not in progress' };
+  }
   
-  // Update player state
-  player.score = score;
-  player.isDropped = true;
-  player.dropTime = Date.now();
+  if (seat.forfeited) {
+    return { status: 400, error: 'Your seat has already been forfeited' };
+  }
   
-  // Record action
-  game.lastAction = {
-    type: 'drop',
-    player: player.id,
-    score: score,
-    multiplier: multiplier,
-    timestamp: Date.now()
-  };
+  const forfeit = await describeForfeit(game, seat);
+  let state = toEngineState(game);
+  const player = state.players.find(p => p.id === userId);
   
-  // Check if game is over
-  const activePlayers = game.players.filter(p => !p.isDropped);
+  // The seat stays in the hand, played by AI
+  Object.assign(player, { isAI: true, forfeited: true, left: true, autopilot: false, away: false, awaySince: null });
   
-  if (activePlayers.length <= 1) {
-    // Game over - determine winner
-    await endGame(game, player.id, multiplier);
-  } else {
-    // Game continues - move to next player
-    game.currentPlayerIndex = getNextActivePlayer(game, playerIndex);
-    game.turnStartTime = Date.now();
+  // A leaver who already drew ends the turn by throwing away their highest card
+  if (state.players[state.currentPlayerIndex].id === userId && player.hasDrawn) {
+    const [highest] = sortCardsByValue(player.hand, false);
+    state = applyAction(state, { type: 'discard', playerId: userId, cardId: highest.id }, reshuffleRng(game.fairness, state)).state;
   }
   
-  game.lastActionAt = Date.now();
+  if (state.status === 'playing') {
+    state = await processAITurns(state, game.fairness);
+  }
   
-  return game;
+  return { game: await persistState(game, state), forfeit };
 }
 
-// Helper function to handle spread action (for future implementation)
-async function handleSpread(game, playerIndex, cardIds) {
-  const player = game.players[playerIndex];
+// How much a leaver gives up, and which policy applies, for a dealt game
+async function describeForfeit(game, seat) {
+  if (game.tournament) {
+    const tournament = await Tournament.findById(game.tournament).select('buyIn');
+    return { stake: tournament?.buyIn, forfeited: tournament?.buyIn, policy: LEAVE_POLICY.TOURNAMENT };
+  }
   
-  // This is a placeholder for spread functionality
-  // In the current Tonk implementation, spreads are not typically played during the game
-  // They are mainly used for scoring when dropping
+  if (game.match) {
+    const match = await Match.findById(game.match).select('seats');
+    const stakePaid = match?.seats.find(s => s.id === seat.id)?.stakePaid || 0;
+    return { stake: game.stake, forfeited: stakePaid, policy: LEAVE_POLICY.MATCH };
+  }
   
-  throw new Error('Spread action not implemented in this version');
+  return { stake: game.stake, forfeited: seat.stakePaid, policy: LEAVE_POLICY.HAND };
 }
 
-// Helper function to get next active player
-function getNextActivePlayer(game, currentPlayerIndex) {
-  let nextIndex = (currentPlayerIndex + 1) % game.players.length;
-  
-  // Skip players who have dropped
-  while (game.players[nextIndex].isDropped) {
-    nextIndex = (nextIndex + 1) % game.players.length;
+// Socket 'gameAction' handler - same checks as the REST route, answered through the ack.
+// payload: { gameId, action, cardId, cardIds, source, spreadId }
+exports.handleGameAction = async (userId, payload) => {
+  try {
+    const { gameId, ...move } = payload || {};
     
-    // Prevent infinite loop
-    if (nextIndex === currentPlayerIndex) {
-      break;
+    if (!mongoose.isValidObjectId(gameId)) {
+      return { ok: false, error: { code: 'INVALID_GAME_ID', message: 'Valid game ID required' } };
     }
+    
+    const result = await playAction(gameId, userId, move);
+    
+    if (result.error) {
+      return { ok: false, error: { code: result.code, message: result.error } };
+    }
+    
+    return { ok: true, game: sanitizeGameForPlayer(result.game, userId) };
+  } catch (error) {
+    console.error('Socket game action error:', error);
+    return { ok: false, error: { code: 'SERVER_ERROR', message: error.message || 'Server error performing action' } };
+  }
+};
+
+// Validate and apply a player's action, then let the AI seats play until it's a human's turn again.
+// Returns { game } or, when the action is refused, { status, code, error }.
+async function playAction(gameId, userId, move) {
+  try {
+    return await withGameLock(gameId, () => applyPlayerAction(gameId, userId, move));
+  } catch (error) {
+    // Another request or server process is still working on this game
+    if (error.name === 'GameLockError') {
+      return { status: 409, code: 'GAME_BUSY', error: error.message };
+    }
+    throw error;
   }
-  
-  return nextIndex;
 }
 
-// Helper function to end the game
-async function endGame(game, winnerId, multiplier = 1) {
-  game.status = 'ended';
-  game.winner = winnerId;
-  game.winningMultiplier = multiplier;
-  game.endTime = Date.now();
+// playAction's work, with the game's lock held
+async function applyPlayerAction(gameId, userId, { action, cardId, cardIds, source, spreadId }) {
+  const game = await Game.findById(gameId).select('+fairness.serverSeed');
   
-  // Calculate winnings
-  const winnings = game.pot * multiplier;
+  if (!game) {
+    return { status: 404, code: 'GAME_NOT_FOUND', error: 'Game not found' };
+  }
   
-  // Update winner's balance if human player
-  if (!winnerId.startsWith('ai-')) {
-    const user = await User.findById(winnerId);
-    
-    if (user) {
-      user.balance += winnings;
-      user.gamesWon += 1;
-      user.totalWinnings = (user.totalWinnings || 0) + winnings;
-      await user.save();
-    }
+  if (game.status !== 'playing') {
+    return { status: 400, code: 'GAME_NOT_IN_PROGRESS', error: 'Game is not in progress' };
   }
   
-  // Update stats for all human players
-  for (const player of game.players) {
-    if (!player.id.startsWith('ai-')) {
-      const user = await User.findById(player.id);
-      
-      if (user) {
-        user.gamesPlayed += 1;
-        user.totalWagered = (user.totalWagered || 0) + game.stake;
-        await user.save();
-      }
-    }
+  // Find player index
+  const playerIndex = game.players.findIndex(p => p.id === userId);
+  
+  if (playerIndex === -1) {
+    return { status: 400, code: 'NOT_A_PLAYER', error: 'Not a player in this game' };
   }
   
-  // Update table
-  const table = await Table.findOne({ amount: game.stake });
-  if (table) {
-    table.currentPlayers = Math.max(0, table.currentPlayers - 1);
-    table.activeGames = table.activeGames.filter(gameId => gameId.toString() !== game._id.toString());
-    await table.save();
+  if (game.players[playerIndex].forfeited) {
+    return { status: 400, code: 'SEAT_FORFEITED', error: 'Your seat was forfeited after repeated timeouts' };
   }
   
-  // Emit lobby update
-  emitLobbyUpdate();
+  // Validate move
+  const validation = isValidMove(game, userId, action, { cardId, cardIds, source, spreadId });
+  if (!validation.valid) {
+    return { status: 400, code: 'INVALID_MOVE', error: validation.error };
+  }
   
-  return game;
+  let state = toEngineState(game);
+  
+  // A player acting for themselves is back in charge of their seat
+  const seat = state.players[playerIndex];
+  if (seat.autopilot || seat.away) {
+    Object.assign(seat, { isAI: false, autopilot: false, away: false, awaySince: null });
+  }
+  
+  ({ state } = applyAction(state, {
+    type: action,
+    playerId: userId,
+    cardId,
+    cardIds,
+    source,
+    spreadId
+  }, reshuffleRng(game.fairness, state)));
+  
+  if (state.status === 'playing') {
+    state = await processAITurns(state, game.fairness);
+  }
+  
+  const updatedGame = await persistState(game, state);
+  
+  // Emit game update to all players in the room
+  emitGameUpdate(game._id.toString(), updatedGame);
+  emitTurnStart(updatedGame);
+  
+  return { game: updatedGame };
 }
 
-// Process AI turns with realistic timing
-async function processAITurns(game) {
-  let currentPlayerIndex = game.currentPlayerIndex;
-  let maxAITurns = 10; // Prevent infinite loops
+// Turn sweeper (run on an interval from server.js): push countdowns for running turns
+// and play the default move for players whose time is up
+let sweepInProgress = false;
+
+exports.sweepTurnTimeouts = async () => {
+  // Skip this tick if the previous sweep is still playing AI turns
+  if (sweepInProgress) return;
+  sweepInProgress = true;
   
-  while (game.status === 'playing' && game.players[currentPlayerIndex].isAI && maxAITurns > 0) {
-    maxAITurns--;
-    
-    const aiPlayer = game.players[currentPlayerIndex];
-    
-    // Skip if AI player is dropped
-    if (aiPlayer.isDropped) {
-      currentPlayerIndex = getNextActivePlayer(game, currentPlayerIndex);
-      continue;
-    }
-    
-    // Get AI personality for decision making
-    const personality = getAIPersonality(aiPlayer.id);
-    
-    // AI decides whether to draw from deck or discard
-    const drawSource = decideDrawSource(game, aiPlayer, personality.difficulty);
-    
-    // Simulate thinking time
-    const thinkTime = getAIThinkingTime(personality.difficulty, 'draw');
-    await new Promise(resolve => setTimeout(resolve, Math.min(thinkTime, 1000))); // Cap at 1 second for responsiveness
-    
-    // Draw card
-    await handleDraw(game, currentPlayerIndex, drawSource === 'discard');
-    
-    // AI decides what to discard
-    const cardToDiscard = decideCardToDiscard(aiPlayer.hand, game, personality.difficulty);
-    
-    if (!cardToDiscard) {
-      // Fallback: discard highest value card
-      const sortedCards = [...aiPlayer.hand].sort((a, b) => b.value - a.value);
-      cardToDiscard = sortedCards[0]?.id;
+  try {
+    await sweepGames();
+  } finally {
+    sweepInProgress = false;
+  }
+};
+
+async function sweepGames() {
+  const now = Date.now();
+  
+  // Start waiting games whose queue time is up, with AI in the empty seats
+  const expired = await Game.find({ status: 'waiting', gameStarted: false, queueDeadline: { $lte: new Date(now) } })
+    .select('_id stake')
+    .lean();
+  
+  for (const summary of expired) {
+    try {
+      const game = await startQueuedGame(summary._id);
+      if (game) await emitQueueStatus(summary.stake, game);
+    } catch (error) {
+      console.error('Queue start error:', error);
     }
+  }
+  
+  const games = await Game.find({ status: 'playing' })
+    .select('_id turnStartTime turnTimeLimit currentPlayerIndex players.id players.isAI players.away players.awaySince')
+    .lean();
+  
+  // Users whose sockets all expired without a disconnect - their server process died
+  const lost = new Set();
+  
+  for (const summary of games) {
+    const deadline = getTurnDeadline(summary);
+    const currentPlayer = summary.players[summary.currentPlayerIndex];
     
-    if (cardToDiscard) {
-      await handleDiscard(game, currentPlayerIndex, cardToDiscard);
+    for (const player of summary.players) {
+      if (player.isAI || player.away || lost.has(player.id) || await isOnline(player.id)) continue;
+      
+      lost.add(player.id);
+      await exports.markPlayerAway(player.id);
     }
     
-    // Check if AI should drop after discard
-    if (aiPlayer.canDrop && shouldDrop(aiPlayer, game, personality.difficulty)) {
-      const dropThinkTime = getAIThinkingTime(personality.difficulty, 'drop');
-      await new Promise(resolve => setTimeout(resolve, Math.min(dropThinkTime, 500)));
+    // Players who stayed away past the grace period get an AI on their seat
+    for (const player of summary.players) {
+      if (player.isAI || !player.away || !isGraceExpired(player.awaySince, now)) continue;
       
-      await handleDrop(game, currentPlayerIndex);
-      break; // AI dropped, no need to continue processing
+      if (await startAutopilot(summary._id, player.id)) {
+        player.isAI = true;
+      }
     }
     
-    // Move to next player
-    currentPlayerIndex = game.currentPlayerIndex;
+    if (deadline > now && !currentPlayer?.isAI) {
+      emitTurnTimer(summary._id.toString(), currentPlayer?.id, deadline);
+      continue;
+    }
     
-    // Safety check for all AI games
-    const activeNonAI = game.players.filter(p => !p.isAI && !p.isDropped);
-    if (activeNonAI.length === 0) {
-      // All human players dropped, end game with last AI
-      const lastActiveAI = game.players.find(p => p.isAI && !p.isDropped);
-      if (lastActiveAI) {
-        const aiIndex = game.players.indexOf(lastActiveAI);
-        await handleDrop(game, aiIndex);
-      }
-      break;
+    try {
+      // Don't wait on a busy game - its player is acting, or another process is sweeping it
+      await withGameLock(summary._id, () => handleTurnTimeout(summary._id), { wait: 0 });
+    } catch (error) {
+      // A player acted at the same moment - the next sweep will pick the game up again if needed
+      if (error.name === 'VersionError' || error.name === 'GameLockError') continue;
+      console.error('Turn timeout error:', error);
     }
   }
+}
+
+// Play a timed-out turn (or a stalled AI turn) and persist the result
+async function handleTurnTimeout(gameId) {
+  const game = await Game.findById(gameId).select('+fairness.serverSeed');
+  
+  if (!game || game.status !== 'playing') return;
+  
+  let state = toEngineState(game);
+  const currentPlayer = state.players[state.currentPlayerIndex];
+  
+  if (!currentPlayer.isAI) {
+    if (getTurnDeadline(game) > Date.now()) return;
+    
+    const timeout = playTimedOutTurn(state, (s, action) => applyAction(s, action, reshuffleRng(game.fairness, s)).state);
+    state = timeout.state;
+    
+    emitPlayerAction(game._id.toString(), currentPlayer.id, 'timeout', {
+      strikes: timeout.strikes,
+      forfeited: timeout.forfeited
+    });
+  }
+  
+  if (state.status === 'playing') {
+    state = await processAITurns(state, game.fairness);
+  }
+  
+  const updatedGame = await persistState(game, state);
+  
+  emitGameUpdate(updatedGame._id.toString(), updatedGame);
+  emitTurnStart(updatedGame);
+}
+
+// AI takes over an away player's seat until they reconnect. Returns false if the game
+// is busy - the next sweep tries again.
+async function startAutopilot(gameId, playerId) {
+  let result;
+  
+  try {
+    result = await withGameLock(gameId, () => Game.updateOne(
+      { _id: gameId, status: 'playing', players: { $elemMatch: { id: playerId, away: true, isAI: false } } },
+      { $set: { 'players.$.isAI': true, 'players.$.autopilot': true }, $inc: { __v: 1 } }
+    ), { wait: 0 });
+  } catch (error) {
+    if (error.name === 'GameLockError') return false;
+    throw error;
+  }
+  
+  if (result.modifiedCount) {
+    emitPlayerAction(gameId.toString(), playerId, 'autopilot', { autopilot: true });
+  }
+  
+  return result.modifiedCount > 0;
+}
+
+// Presence - called from the socket connection handlers in server.js
+
+// A user's socket connected: rejoin their active games' rooms, take their seats back
+// from autopilot and send each game's current state
+exports.resumeGames = async (socket) => {
+  const userId = socket.userId;
+  // Forfeited seats stay with the AI for the rest of the hand
+  const returning = { id: userId, forfeited: { $ne: true }, $or: [{ away: true }, { autopilot: true }] };
+  
+  const returned = await Game.find({ status: 'playing', players: { $elemMatch: returning } }).select('_id');
+  
+  // Wait out any action in progress - the seat must not change hands mid-turn
+  for (const { _id } of returned) {
+    await withGameLock(_id, () => Game.updateOne(
+      { _id, status: 'playing', players: { $elemMatch: returning } },
+      {
+        $set: { 'players.$.away': false, 'players.$.awaySince': null, 'players.$.isAI': false, 'players.$.autopilot': false },
+        $inc: { __v: 1 }
+      }
+    ), { wait: GAME_LOCK.TTL });
+  }
+  
+  const games = await Game.find({ status: { $in: ['waiting', 'playing'] }, 'players.id': userId });
+  
+  for (const game of games) {
+    const gameId = game._id.toString();
+    
+    socket.join(`game-${gameId}`);
+    socket.join(getPlayerRoom(gameId, userId));
+    
+    if (returned.some(g => g._id.equals(game._id))) {
+      emitPlayerAction(gameId, userId, 'returned');
+      emitGameUpdate(gameId, game);
+    } else {
+      emitGameSnapshot(gameId, userId, game);
+    }
+  }
+  
+  return games.length;
+};
+
+// Socket 'joinGame' handler - only seated players get the game room's live events.
+// Returns false if the user isn't seated; everyone else watches through 'spectateGame'.
+exports.joinGameRoom = async (socket, gameId) => {
+  if (!mongoose.isValidObjectId(gameId)) return false;
+  
+  const seated = await Game.exists({ _id: gameId, 'players.id': socket.userId });
+  if (!seated) return false;
+  
+  socket.join(`game-${gameId}`);
+  socket.join(getPlayerRoom(gameId, socket.userId));
+  
+  return true;
+};
+
+// Socket 'spectateGame' handler - watch a game you are not playing in
+exports.spectateGame = async (socket, gameId) => {
+  try {
+    if (!mongoose.isValidObjectId(gameId)) {
+      return { ok: false, error: { code: 'INVALID_GAME_ID', message: 'Valid game ID required' } };
+    }
+    
+    const game = await Game.findById(gameId);
+    
+    if (!game) {
+      return { ok: false, error: { code: 'GAME_NOT_FOUND', message: 'Game not found' } };
+    }
+    
+    if (game.players.some(p => p.id === socket.userId)) {
+      return { ok: false, error: { code: 'SEATED_PLAYER', message: 'Players cannot spectate their own game' } };
+    }
+    
+    emitSpectatorCount(game, await addSpectator(socket, gameId));
+    
+    return {
+      ok: true,
+      delay: SPECTATOR_DELAY,
+      game: getNonPlayerView(game)
+    };
+  } catch (error) {
+    console.error('Spectate game error:', error);
+    return { ok: false, error: { code: 'SERVER_ERROR', message: 'Server error spectating game' } };
+  }
+};
+
+// Socket 'stopSpectating' handler
+exports.stopSpectating = async (socket, gameId) => {
+  if (!mongoose.isValidObjectId(gameId)) return;
+  
+  const spectators = await removeSpectator(socket, gameId);
+  
+  const game = await Game.findById(gameId).select('tableId');
+  if (game) emitSpectatorCount(game, spectators);
+};
+
+// Let the lobby know how many people are watching a game
+function emitSpectatorCount(game, spectators) {
+  emitLobbyUpdate({
+    type: 'spectators',
+    gameId: game._id.toString(),
+    tableId: game.tableId,
+    spectators
+  });
+}
+
+// A user's last socket disconnected: mark them away in their running games
+exports.markPlayerAway = async (userId) => {
+  const games = await Game.find({ status: 'playing', players: { $elemMatch: { id: userId, isAI: false } } }).select('_id');
+  
+  const awaySince = new Date();
+  
+  // Wait out any action in progress - a write mid-action would make its save fail
+  for (const { _id } of games) {
+    const result = await withGameLock(_id, () => Game.updateOne(
+      { _id, status: 'playing', players: { $elemMatch: { id: userId, isAI: false } } },
+      { $set: { 'players.$.away': true, 'players.$.awaySince': awaySince }, $inc: { __v: 1 } }
+    ), { wait: GAME_LOCK.TTL });
+    
+    if (result.modifiedCount) {
+      emitPlayerAction(_id.toString(), userId, 'away', { gracePeriod: PRESENCE.GRACE_PERIOD });
+    }
+  }
+};
+
+// Tell the game room whose clock is running and when it runs out
+function emitTurnStart(game) {
+  if (game.status !== 'playing') return;
+  
+  const currentPlayer = game.players[game.currentPlayerIndex];
+  emitTurnTimer(game._id.toString(), currentPlayer.id, getTurnDeadline(game));
+}
+
+// @route   POST /api/games/verify
+// @desc    Re-derive a game's deck order (or a reshuffle, with nonce and cards) from its revealed seeds
+// @access  Public
+exports.verifyShuffle = async (req, res) => {
+  try {
+    const { serverSeed, clientSeed, nonce = 0, cards, gameId } = req.body;
+    
+    if (typeof serverSeed !== 'string' || typeof clientSeed !== 'string' || !serverSeed || !clientSeed) {
+      return res.status(400).json({ error: 'Server seed and client seed required' });
+    }
+    
+    if (!Number.isInteger(nonce) || nonce < 0) {
+      return res.status(400).json({ error: 'Nonce must be a non-negative integer' });
+    }
+    
+    if (nonce > 0 && (!Array.isArray(cards) || cards.length === 0)) {
+      return res.status(400).json({ error: 'Cards going into the reshuffle required' });
+    }
+    
+    // Use the game's deck composition when a game is given
+    let ranks;
+    let matchesGame;
+    
+    if (gameId) {
+      const game = await Game.findById(gameId).select('+fairness.serverSeed');
+      
+      if (!game) {
+        return res.status(404).json({ error: 'Game not found' });
+      }
+      
+      ranks = game.rules?.ranks;
+      matchesGame = game.status === 'ended' &&
+        game.fairness?.serverSeedHash === hashSeed(serverSeed) &&
+        game.fairness?.clientSeed === clientSeed;
+    }
+    
+    // Nonce 0 is the deal (cards are dealt from the end of the deck); nonce N is the Nth reshuffle
+    const deck = nonce === 0
+      ? deriveDeckOrder(serverSeed, clientSeed, ranks)
+      : deriveReshuffle(serverSeed, clientSeed, nonce, cards);
+    
+    res.json({
+      serverSeedHash: hashSeed(serverSeed),
+      clientSeed,
+      nonce,
+      matchesGame,
+      deck: deck.map(({ id, suit, rank, value }) => ({ id, suit, rank, value }))
+    });
+  } catch (error) {
+    console.error('Verify shuffle error:', error);
+    res.status(500).json({ error: 'Server error verifying shuffle' });
+  }
+};
+
+// Seat for a human player who has paid the stake
+function createHumanSeat(user, stake) {
+  return {
+    id: user._id.toString(),
+    username: user.username,
+    isAI: false,
+    stakePaid: stake,
+    avatar: user.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(user.username)}&background=0D8ABC&color=fff`
+  };
+}
+
+// Fill the empty seats with AI players with different personalities.
+// Players with a table seat index keep that position at the game.
+function fillSeatsWithAI(players, seatCount = QUEUE.SEATS, aiDifficulty) {
+  const seats = new Array(seatCount).fill(null);
+  
+  players.filter(p => p.seat != null).forEach(p => { seats[p.seat] = p; });
+  players.filter(p => p.seat == null).forEach(p => { seats[seats.indexOf(null)] = p; });
+  
+  let aiCount = 0;
+  
+  return seats.map(seat => {
+    if (seat) return seat;
+    
+    aiCount += 1;
+    const personality = getAIPersonality(`ai-${aiCount}`, aiDifficulty);
+    
+    return {
+      id: `ai-${aiCount}`,
+      username: `${personality.name} AI`,
+      isAI: true,
+      avatar: `https://ui-avatars.com/api/?name=AI&background=777777&color=fff`
+    };
+  });
+}
+
+// Seat one human and fill the other three seats with AI players
+function createSeats(user, stake) {
+  return fillSeatsWithAI([createHumanSeat(user, stake)]);
+}
+
+// Atomically add a seat to the oldest waiting game matching the filter (null if none has room)
+function seatInWaitingGame(seat, filter) {
+  return Game.findOneAndUpdate(
+    {
+      ...filter,
+      status: 'waiting',
+      gameStarted: false,
+      'players.id': { $ne: seat.id },
+      $expr: { $lt: [{ $size: '$players' }, '$maxPlayers'] }
+    },
+    { $push: { players: seat }, $inc: { pot: seat.stakePaid } },
+    { new: true, sort: { createdAt: 1 } }
+  );
+}
+
+// Put a seated player in their table's waiting game, opening one if the table has none
+async function joinTableGame(table, seat) {
+  // Two tries: another player may open the table's game at the same moment
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const waiting = await seatInWaitingGame(seat, { tableId: table.tableId });
+    if (waiting) return waiting;
+    
+    const game = new Game({
+      status: 'waiting',
+      tableId: table.tableId,
+      isPrivate: table.isPrivate,
+      stake: table.amount,
+      pot: seat.stakePaid,
+      players: [seat],
+      rules: snapshotRules(await RuleSet.findById(table.ruleSet)),
+      maxPlayers: table.maxPlayers,
+      queueDeadline: getQueueDeadline(table),
+      turnTimeLimit: table.turnTimeLimit,
+      aiDifficulty: table.aiDifficulty,
+      // Published while the game waits, so players can pick client seeds after seeing it
+      fairness: commitServerSeed()
+    });
+    
+    // Claim the table for the new game before anyone can join it
+    const claimed = await Table.updateOne(
+      { _id: table._id, status: 'open', currentGame: null },
+      { $set: { currentGame: game._id }, $addToSet: { activeGames: game._id } }
+    );
+    
+    if (claimed.modifiedCount) {
+      await game.save();
+      return game;
+    }
+  }
+  
+  return null;
+}
+
+// Sit a user at an open table matching the filter and put them in its waiting game.
+// The stake must already be collected. Returns null if no seat was free.
+async function sitAndJoin(user, stake, tableFilter, seatIndex) {
+  const seat = createHumanSeat(user, stake);
+  const sat = await takeSeat(tableFilter, seat, seatIndex);
+  
+  if (!sat) return null;
+  
+  seat.seat = sat.seat;
+  const game = await joinTableGame(sat.table, seat);
+  
+  // The table started its hand between sitting down and joining
+  if (!game) {
+    await standUp(sat.table.tableId, seat.id);
+    return null;
+  }
+  
+  const started = isQueueReady(game) ? await startQueuedGame(game._id) : null;
+  
+  return { table: sat.table, seat: sat.seat, game: started || game, started };
+}
+
+// Take a player out of a waiting game and off its table, refunding the stake.
+// Returns the refunded user, or null if the game started first.
+async function leaveWaitingGame(game, userId) {
+  // Only leave if the game hasn't been claimed to start in the meantime
+  const result = await Game.updateOne(
+    { _id: game._id, status: 'waiting', gameStarted: false, 'players.id': userId },
+    { $pull: { players: { id: userId } }, $inc: { pot: -game.stake } }
+  );
+  
+  if (result.modifiedCount === 0) return null;
+  
+  const emptied = await Game.deleteOne({ _id: game._id, status: 'waiting', gameStarted: false, players: { $size: 0 } });
+  
+  if (game.tableId) {
+    await standUp(game.tableId, userId);
+    
+    if (emptied.deletedCount) {
+      publishTable(await Table.findOneAndUpdate(
+        { tableId: game.tableId, currentGame: game._id },
+        { $set: { currentGame: null }, $pull: { activeGames: game._id } },
+        { new: true }
+      ));
+    }
+  }
+  
+  // Refund the stake
+  const user = await User.creditBalance(userId, game.stake);
+  
+  await emitQueueStatus(game.stake);
+  emitLobbyUpdate();
+  
+  return user;
+}
+
+// Deal a waiting game, filling empty seats with AI. Returns null if it was already started.
+async function startQueuedGame(gameId) {
+  // Claim the game first so a join or another sweep can't start it twice
+  const game = await Game.findOneAndUpdate(
+    { _id: gameId, status: 'waiting', gameStarted: false },
+    { $set: { gameStarted: true } },
+    { new: true }
+  ).select('+fairness.serverSeed');
+  
+  if (!game) return null;
+  
+  const table = game.tableId ? await Table.findOne({ tableId: game.tableId }) : null;
+  const humans = game.toObject().players.map(({ id, username, avatar, stakePaid, seat }) => ({ id, username, avatar, stakePaid, seat }));
+  
+  // Deal from the seed committed to while waiting, mixed with every client seed the players picked
+  await startHand({
+    players: fillSeatsWithAI(humans, game.maxPlayers, table?.aiDifficulty ?? game.aiDifficulty),
+    stake: game.stake,
+    rules: game.rules,
+    table,
+    clientSeed: game.players.map(p => p.clientSeed).filter(Boolean).join(':'),
+    serverSeed: game.fairness?.serverSeed,
+    game
+  });
+  
+  emitGameUpdate(game._id.toString(), game);
   
   return game;
 }
 
-// Sanitize game data for specific player (hide other players' cards)
-function sanitizeGameForPlayer(game, playerId) {
-  const gameData = game.toObject();
-  
-  gameData.players = gameData.players.map(player => {
-    if (player.id !== playerId && !player.isDropped) {
-      // Hide other players' cards
-      return {
-        ...player,
-        hand: player.hand.map(card => ({
-          id: card.id,
-          suit: '?',
-          rank: '?',
-          value: 0,
-          isHidden: true
-        }))
-      };
-    }
-    return player;
+function findWaitingGames(stake) {
+  return Game.find({ status: 'waiting', gameStarted: false, stake, isPrivate: { $ne: true } })
+    .sort({ createdAt: 1 })
+    .select('players.id players.username queueDeadline maxPlayers')
+    .lean();
+}
+
+// Push queue positions and estimated waits for a stake to the lobby
+async function emitQueueStatus(stake, startedGame) {
+  const queue = buildQueueStatus(await findWaitingGames(stake));
+  
+  emitLobbyUpdate({
+    type: 'queue',
+    stake,
+    queue,
+    startedGame: startedGame ? {
+      gameId: startedGame._id.toString(),
+      playerIds: startedGame.players.filter(p => !p.isAI).map(p => p.id)
+    } : null
   });
   
-  return gameData;
+  return queue;
+}
+
+// Deal and save a new hand, then play any AI turns before the first human turn.
+// Stakes must already be collected by the caller. Pass a waiting game to deal into it,
+// and the server seed already committed to for it, if any. A match hand takes its seed from the match.
+async function startHand({ players, stake, rules, table, clientSeed, serverSeed, firstPlayerIndex = 0, match, tournament, game }) {
+  const handNumber = match ? match.hands.length + 1 : undefined;
+  
+  // Match hands deal from seeds derived from the seed the match committed to
+  if (match?.fairness?.serverSeed) {
+    serverSeed = deriveHandSeed(match.fairness.serverSeed, handNumber);
+  }
+  
+  // The client seed is mixed into the shuffle; without one the server picks it too
+  const fairness = {
+    ...commitServerSeed(serverSeed),
+    clientSeed: clientSeed || generateClientSeed()
+  };
+  
+  // Match hands are played for points, so their pot stays empty
+  if (match) {
+    players = players.map(player => ({ ...player, stakePaid: 0 }));
+  }
+  
+  const state = createInitialState(
+    { players, stake, rules, firstPlayerIndex },
+    createSeededRng(fairness.serverSeed, fairness.clientSeed)
+  );
+  const gameData = {
+    ...state,
+    fairness,
+    tableId: table?.tableId,
+    isPrivate: !!table?.isPrivate,
+    turnTimeLimit: table?.turnTimeLimit ?? game?.turnTimeLimit,
+    aiDifficulty: table?.aiDifficulty ?? game?.aiDifficulty,
+    match: match?._id,
+    handNumber,
+    tournament: tournament?._id
+  };
+  
+  if (game) {
+    game.set(gameData);
+  } else {
+    game = new Game(gameData);
+  }
+  
+  // Hold the game's lock from the deal until the AI seats have played, as a player's action does -
+  // the sweeper or another process must not play the same turns
+  await withGameLock(game._id, () => saveDealtHand(game, { table, match, tournament }));
+  
+  return game;
+}
+
+// startHand's work once the hand is dealt, with the game's lock held: save it, point the match,
+// tournament and table at it, then settle an instant win or play the AI seats up to a human's turn
+async function saveDealtHand(game, { table, match, tournament }) {
+  await game.save();
+  
+  if (match) {
+    await Match.updateOne({ _id: match._id }, { currentGame: game._id });
+  }
+  
+  if (tournament) {
+    await Tournament.updateOne(
+      { _id: tournament._id, 'bracket.tableId': table.tableId },
+      { $set: { 'bracket.$.game': game._id }, $inc: { __v: 1 } }
+    );
+  }
+  
+  // The table is in play until this game ends
+  if (table) {
+    publishTable(await Table.findOneAndUpdate(
+      { _id: table._id },
+      { $set: { status: 'playing', currentGame: game._id }, $addToSet: { activeGames: game._id } },
+      { new: true }
+    ));
+  }
+  
+  if (game.status === 'ended') {
+    // A hand dealt at 49 or 50 wins instantly
+    await endGame(game);
+    await game.save();
+  } else if (game.players[game.currentPlayerIndex].isAI) {
+    await persistState(game, await processAITurns(toEngineState(game), game.fairness));
+  }
+}
+
+// Record a finished match hand, then deal the next hand or settle the match
+async function advanceMatch(game) {
+  const match = await Match.findById(game.match).select('+fairness.serverSeed');
+  
+  if (!match || match.status !== 'playing') return;
+  
+  // Each hand is recorded once, even if endGame runs again
+  if (match.hands.some(h => h.game.equals(game._id))) return;
+  
+  recordHand(match, game);
+  
+  if (isMatchOver(match)) {
+    await settleMatch(match, game);
+    return;
+  }
+  
+  // Save before dealing - the next hand can end (and advance the match) straight away
+  await match.save();
+  
+  const table = match.table ? await Table.findById(match.table) : null;
+  const nextGame = await startHand({
+    players: match.toObject().seats,
+    stake: match.stake,
+    rules: match.rules,
+    table,
+    clientSeed: match.clientSeed,
+    firstPlayerIndex: getFirstPlayerIndex(match),
+    match
+  });
+  
+  game.nextGame = nextGame._id;
+  
+  emitPlayerAction(game._id.toString(), null, 'nextHand', {
+    matchId: match._id.toString(),
+    gameId: nextGame._id.toString(),
+    handNumber: nextGame.handNumber
+  });
+}
+
+// Pay out a finished match - the stake was collected once, when the match was created
+async function settleMatch(match, lastGame) {
+  const winnerIds = getMatchWinners(match);
+  const table = match.table ? await Table.findById(match.table) : null;
+  const users = await loadHumanUsers(match.seats);
+  
+  // Points decide the winners; the pot is only what was staked
+  const settlement = settlePot({
+    players: match.seats,
+    winnerIds,
+    stake: match.stake,
+    rake: { percent: table?.rakePercent, cap: table?.rakeCap }
+  });
+  
+  match.status = 'ended';
+  match.winners = winnerIds;
+  match.settlement = settlement;
+  match.endTime = Date.now();
+  
+  await match.save();
+  
+  await applySettlement(settlement, users, match.stake, winnerIds);
+  await recordRake(table, settlement.rake);
+  
+  if (table) {
+    await releaseTable(table.tableId, match.seats.map(s => s.id), lastGame._id);
+  }
+  
+  emitPlayerAction(lastGame._id.toString(), null, 'matchEnd', {
+    matchId: match._id.toString(),
+    winners: winnerIds,
+    pot: match.pot,
+    standings: match.toObject().standings
+  });
+}
+
+// Start a tournament once its last seat is bought: hand out the chips and seat the first round.
+// Returns null if the tournament was not full or had already started.
+async function startTournament(tournamentId) {
+  // Claim the start so two last-second registrations can't both start it
+  const tournament = await Tournament.findOneAndUpdate(
+    { _id: tournamentId, status: 'registering', $expr: { $gte: [{ $size: '$entrants' }, '$maxEntrants'] } },
+    { $set: { status: 'running', startedAt: Date.now() }, $inc: { __v: 1 } },
+    { new: true }
+  );
+  
+  if (!tournament) return null;
+  
+  tournament.entrants.forEach(entrant => {
+    entrant.chips = tournament.startingChips;
+    entrant.status = 'playing';
+  });
+  
+  const tables = openRound(tournament, tournament.entrants.map(e => e.id));
+  await tournament.save();
+  
+  await dealRound(tournament, tables);
+  
+  emitLobbyUpdate({ type: 'tournament', tournament: { id: tournament._id, status: tournament.status } });
+  
+  return tournament;
+}
+
+// Move the tournament on a round and seat the given players at its tables
+function openRound(tournament, playerIds) {
+  tournament.round += 1;
+  
+  const tables = seatRound(tournament, playerIds);
+  tournament.bracket.push(...tables);
+  
+  return tables;
+}
+
+// Set up a Table for each of a round's bracket tables and deal their first hands
+async function dealRound(tournament, tables) {
+  const entrantFor = id => tournament.entrants.find(e => e.id === id);
+  
+  for (const bracketTable of tables) {
+    const table = await Table.create({
+      tableId: bracketTable.tableId,
+      amount: getLevelStake(tournament),
+      maxPlayers: bracketTable.players.length,
+      currentPlayers: bracketTable.players.length,
+      seats: bracketTable.players.map((id, index) => ({ index, playerId: id, username: entrantFor(id).username })),
+      status: 'playing',
+      isPrivate: true,
+      tournament: tournament._id,
+      turnTimeLimit: tournament.turnTimeLimit
+    });
+    
+    await dealTournamentHand(tournament, bracketTable, table);
+  }
+  
+  emitTournamentUpdate(tournament._id.toString(), getTournamentView(tournament));
+}
+
+// Deal the next hand at a tournament table - everyone still in antes the level stake, or all they have left
+function dealTournamentHand(tournament, bracketTable, table) {
+  const stake = getLevelStake(tournament);
+  const players = getAlivePlayers(tournament, bracketTable).map(id => {
+    const entrant = tournament.entrants.find(e => e.id === id);
+    
+    return {
+      id,
+      username: entrant.username,
+      avatar: entrant.avatar,
+      isAI: false,
+      stakePaid: Math.min(stake, entrant.chips)
+    };
+  });
+  
+  return startHand({
+    players,
+    stake,
+    rules: tournament.rules,
+    table,
+    firstPlayerIndex: bracketTable.handsPlayed % players.length,
+    tournament
+  });
+}
+
+// Record a finished tournament hand in chips, then deal on, move survivors up a round or finish
+async function advanceTournament(game) {
+  // Tables finish hands at the same time - a save that loses the race reloads and tries again
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const tournament = await Tournament.findById(game.tournament);
+    
+    if (!tournament || tournament.status !== 'running') return;
+    
+    const bracketTable = tournament.bracket.find(t => t.tableId === game.tableId && t.status === 'playing');
+    
+    // Each hand is recorded once, even if endGame runs again
+    if (!bracketTable || bracketTable.lastGame?.equals(game._id)) return;
+    
+    const { settlement, eliminated } = recordTournamentHand(tournament, bracketTable, game);
+    const tableFinished = isTableFinished(tournament, bracketTable);
+    let nextTables = [];
+    
+    if (tableFinished) {
+      finishTable(tournament, bracketTable);
+      
+      if (isRoundFinished(tournament)) {
+        const alive = tournament.entrants.filter(e => e.status === 'playing').map(e => e.id);
+        
+        if (alive.length > 1) {
+          nextTables = openRound(tournament, alive);
+        } else {
+          completeTournament(tournament);
+        }
+      }
+    }
+    
+    try {
+      await tournament.save();
+    } catch (error) {
+      if (error.name === 'VersionError') continue;
+      throw error;
+    }
+    
+    // Chips won and lost, in place of a cash settlement
+    game.settlement = settlement;
+    
+    if (tableFinished) {
+      await Table.deleteOne({ tableId: bracketTable.tableId });
+    } else {
+      // Knocked-out players are free to sit elsewhere straight away
+      for (const playerId of eliminated) {
+        await standUp(bracketTable.tableId, playerId);
+      }
+      
+      await dealTournamentHand(tournament, bracketTable, await Table.findOne({ tableId: bracketTable.tableId }));
+    }
+    
+    if (tournament.status === 'finished') {
+      await payTournament(tournament);
+      emitLobbyUpdate({ type: 'tournament', tournament: { id: tournament._id, status: tournament.status } });
+    }
+    
+    emitTournamentUpdate(tournament._id.toString(), getTournamentView(tournament), { eliminated });
+    
+    if (nextTables.length) {
+      await dealRound(tournament, nextTables);
+    }
+    
+    return;
+  }
+  
+  console.error(`Tournament ${game.tournament}: could not record hand ${game._id}`);
+}
+
+// Pay the prize pool out by finishing place - the buy-ins were collected at registration
+async function payTournament(tournament) {
+  for (const entrant of tournament.entrants) {
+    const stats = { gamesPlayed: 1, totalWagered: tournament.buyIn };
+    
+    if (entrant.payout > 0) {
+      stats.totalWinnings = entrant.payout;
+    }
+    
+    if (entrant.place === 1) {
+      stats.gamesWon = 1;
+    }
+    
+    await User.creditBalance(entrant.id, entrant.payout, stats);
+  }
+}
+
+// Commit to a server seed - the hash is public straight away, the seed once the game ends
+function commitServerSeed(serverSeed = generateServerSeed()) {
+  return { serverSeed, serverSeedHash: hashSeed(serverSeed) };
+}
+
+// Use up the server seed a user committed to (load them with +nextServerSeed) - each one deals
+// one game or match. Returns undefined if they have none.
+async function useCommittedSeed(user) {
+  if (user.nextServerSeed) {
+    await User.updateOne({ _id: user._id, nextServerSeed: user.nextServerSeed }, { $unset: { nextServerSeed: 1 } });
+  }
+  
+  return user.nextServerSeed;
+}
+
+function isValidClientSeed(clientSeed) {
+  return typeof clientSeed === 'string' && clientSeed.length > 0 && clientSeed.length <= 64;
+}
+
+// Plain engine state for a Game document (the fairness seeds stay on the document)
+function toEngineState(game) {
+  const { _id, __v, createdAt, updatedAt, fairness, ...state } = JSON.parse(JSON.stringify(game.toObject()));
+  return state;
+}
+
+// Seeded RNG for the engine's next reshuffle, so every deck order can be re-derived after the game
+function reshuffleRng(fairness, state) {
+  if (!fairness?.serverSeed) {
+    return Math.random; // Games created before provably fair shuffling
+  }
+  
+  return createSeededRng(fairness.serverSeed, fairness.clientSeed, (state.reshuffles || 0) + 1);
+}
+
+// Write an engine state back onto its Game document and save, then settle the game if the hand ended.
+// The ended hand is saved first - a save that loses a race throws before any money moves,
+// and a hand already marked ended is never settled again.
+async function persistState(game, state) {
+  const wasPlaying = game.status === 'playing';
+  
+  Object.keys(state).forEach(key => game.set(key, state[key]));
+  
+  await game.save();
+  
+  if (wasPlaying && game.status === 'ended') {
+    await endGame(game);
+    await game.save();
+  }
+  
+  return game;
+}
+
+// Helper function to settle a game the engine has ended - pays the winners, updates stats and the table
+async function endGame(game) {
+  const winnerIds = game.winners.length ? game.winners : [game.winner];
+  const multiplier = game.winningMultiplier;
+  
+  // Reveal the server seed so players can re-derive the deck order
+  if (game.fairness?.serverSeedHash) {
+    game.fairness.revealedAt = Date.now();
+  }
+  
+  const table = game.tableId ? await Table.findOne({ tableId: game.tableId }) : null;
+  
+  // Match hands are scored in points and tournament hands in chips - neither moves money per hand
+  if (!game.match && !game.tournament) {
+    await settleHand(game, winnerIds, multiplier, table);
+  }
+  
+  // Free the table - match and tournament players keep their seats until they are done
+  if (table && (game.match || game.tournament)) {
+    await Table.updateOne({ _id: table._id }, { $pull: { activeGames: game._id } });
+  } else if (table) {
+    await releaseTable(table.tableId, game.players.map(p => p.id), game._id);
+  }
+  
+  // Notify the game room and the lobby
+  emitGameEnd(game._id.toString(), game.winner, game.pot, multiplier, {
+    winners: winnerIds,
+    winType: game.winType,
+    showdown: game.showdown?.scores?.length ? game.toObject().showdown : null,
+    settlement: game.settlement ? game.toObject().settlement : null
+  });
+  emitLobbyUpdate();
+  
+  if (game.match) {
+    await advanceMatch(game);
+  } else if (game.tournament) {
+    await advanceTournament(game);
+  }
+  
+  return game;
+}
+
+// Helper function to pay out a single hand - losers cover the multiplier bonus and the table takes its rake
+async function settleHand(game, winnerIds, multiplier, table) {
+  const users = await loadHumanUsers(game.players);
+  const rules = getRules(game);
+  const caught = game.showdown?.caught ? game.showdown.droppedBy : null;
+  
+  const settlement = settlePot({
+    players: game.players,
+    winnerIds,
+    stake: game.stake,
+    multiplier,
+    penalty: caught ? { playerId: caught, amount: game.stake * rules.caughtDropPenalty } : null,
+    balances: getBalances(users),
+    rake: { percent: table?.rakePercent, cap: table?.rakeCap }
+  });
+  
+  if (caught) {
+    game.showdown.penalty = settlement.penalty;
+  }
+  
+  game.settlement = settlement;
+  
+  await applySettlement(settlement, users, game.stake, winnerIds);
+  await recordRake(table, settlement.rake);
+}
+
+// Human players' User documents, keyed by id
+async function loadHumanUsers(players) {
+  const users = {};
+  
+  for (const player of players) {
+    if (player.id.startsWith('ai-')) continue;
+    
+    const user = await User.findById(player.id);
+    if (user) users[player.id] = user;
+  }
+  
+  return users;
+}
+
+function getBalances(users) {
+  return Object.keys(users).reduce((balances, id) => {
+    balances[id] = users[id].balance;
+    return balances;
+  }, {});
+}
+
+// Move a settlement's charges and payouts onto user balances and stats
+async function applySettlement(settlement, users, stake, winnerIds) {
+  for (const entry of settlement.entries) {
+    if (!users[entry.playerId]) continue;
+    
+    const stats = { gamesPlayed: 1, totalWagered: stake };
+    
+    if (entry.payout > 0) {
+      stats.totalWinnings = entry.payout;
+    }
+    
+    if (winnerIds.includes(entry.playerId) && entry.payout > 0) {
+      stats.gamesWon = 1;
+    }
+    
+    // One atomic update per user, so a stake or refund saved at the same time is never lost
+    await User.creditBalance(entry.playerId, Math.round((entry.payout - entry.charged) * 100) / 100, stats);
+  }
+}
+
+async function recordRake(table, rake) {
+  if (table && rake > 0) {
+    await Table.updateOne({ _id: table._id }, { $inc: { rakeCollected: rake } });
+  }
+}
+
+// Process AI turns with realistic timing - takes and returns an engine state
+async function processAITurns(state, fairness) {
+  let maxAITurns = 10; // Prevent infinite loops
+  
+  while (state.status === 'playing' && state.players[state.currentPlayerIndex].isAI && maxAITurns > 0) {
+    maxAITurns--;
+    
+    const aiId = state.players[state.currentPlayerIndex].id;
+    const aiPlayer = () => state.players.find(p => p.id === aiId);
+    const act = action => {
+      state = applyAction(state, { ...action, playerId: aiId }, reshuffleRng(fairness, state)).state;
+      return state.status === 'playing';
+    };
+    
+    // Get AI personality for decision making
+    const personality = getAIPersonality(aiId, state.aiDifficulty);
+    
+    // The expert searches its drop, draw and discard, and plays as the hard AI otherwise
+    const expert = personality.difficulty === AI_DIFFICULTY.EXPERT;
+    const difficulty = expert ? AI_DIFFICULTY.HARD : personality.difficulty;
+    
+    // A seat taken over after its player drew goes straight to the discard
+    if (!aiPlayer().hasDrawn) {
+      const opening = expert ? await searchMove(state, aiPlayer()) : null;
+      
+      // Check if AI should drop instead of drawing
+      if (opening ? opening === 'drop' : shouldDrop(aiPlayer(), state, difficulty)) {
+        const dropThinkTime = getAIThinkingTime(personality.difficulty, 'drop');
+        await new Promise(resolve => setTimeout(resolve, Math.min(dropThinkTime, 500)));
+      
+        act({ type: 'drop' });
+        break; // AI dropped and ended the hand
+      }
+      
+      // AI decides whether to draw from deck or discard
+      const drawSource = opening || decideDrawSource(state, aiPlayer(), difficulty);
+      
+      // Simulate thinking time
+      const thinkTime = getAIThinkingTime(personality.difficulty, 'draw');
+      await new Promise(resolve => setTimeout(resolve, Math.min(thinkTime, 1000))); // Cap at 1 second for responsiveness
+      
+      // Draw card
+      if (!act({ type: 'draw', source: drawSource })) {
+        break; // Deck ran out and ended the hand
+      }
+      
+      // AI lays down a spread if it has one worth playing
+      const spreadCardIds = shouldPlaySpread(aiPlayer(), state, difficulty);
+      
+      if (spreadCardIds && !act({ type: 'spread', cardIds: spreadCardIds })) {
+        break; // AI went out by spreading its whole hand
+      }
+      
+      // AI hits a spread on the table if it holds a card that fits
+      const hit = decideHit(aiPlayer(), state, difficulty);
+      
+      if (hit && !act({ type: 'hit', cardId: hit.cardId, spreadId: hit.spreadId })) {
+        break; // AI went out by hitting with its last card
+      }
+    }
+    
+    // AI decides what to discard
+    let cardToDiscard = (expert && await searchMove(state, aiPlayer())) ||
+      decideCardToDiscard(aiPlayer().hand, state, difficulty);
+    
+    if (!cardToDiscard) {
+      // Fallback: discard highest value card
+      const sortedCards = [...aiPlayer().hand].sort((a, b) => b.value - a.value);
+      cardToDiscard = sortedCards[0]?.id;
+    }
+    
+    act({ type: 'discard', cardId: cardToDiscard });
+  }
+  
+  return state;
 }
 
 module.exports = {
   createGame: exports.createGame,
   getGameById: exports.getGameById,
   joinGame: exports.joinGame,
-  performAction: exports.performAction
+  joinQueue: exports.joinQueue,
+  leaveQueue: exports.leaveQueue,
+  getQueue: exports.getQueue,
+  getSeedCommitment: exports.getSeedCommitment,
+  setClientSeed: exports.setClientSeed,
+  performAction: exports.performAction,
+  leaveGame: exports.leaveGame,
+  handleGameAction: exports.handleGameAction,
+  resumeGames: exports.resumeGames,
+  joinGameRoom: exports.joinGameRoom,
+  markPlayerAway: exports.markPlayerAway,
+  spectateGame: exports.spectateGame,
+  stopSpectating: exports.stopSpectating,
+  verifyShuffle: exports.verifyShuffle,
+  sweepTurnTimeouts: exports.sweepTurnTimeouts,
+  createSeats,
+  startHand,
+  commitServerSeed,
+  useCommittedSeed,
+  startTournament,
+  sitAndJoin,
+  leaveWaitingGame
 };
  
\ No newline at end of file
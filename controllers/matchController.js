@@ -0,0 +1,142 @@
+const Match = require('../models/Match');
+const User = require('../models/User');
+const RuleSet = require('../models/RuleSet');
+const Tournament = require('../models/Tournament');
+const { snapshotRules } = require('../utils/gameRules');
+const { createStandings } = require('../utils/matches');
+const { takeSeat, isSeated } = require('../utils/tableSeats');
+const { createSeats, startHand, commitServerSeed, useCommittedSeed } = require('./gameController');
+const { sanitizeGameForPlayer } = require('../utils/gameView');
+const { emitLobbyUpdate } = require('../utils/socketHelpers');
+
+// @route   POST /api/matches
+// @desc    Create a multi-hand match (best of N hands or first to a target score)
+// @access  Private
+exports.createMatch = async (req, res) => {
+  try {
+    const { stake, hands, targetScore, clientSeed } = req.body;
+
+    // Validate stake
+    if (!stake || typeof stake !== 'number' || stake <= 0) {
+      return res.status(400).json({ error: 'Valid stake amount required' });
+    }
+
+    if ((hands === undefined) === (targetScore === undefined)) {
+      return res.status(400).json({ error: 'Provide either a number of hands or a target score' });
+    }
+
+    if (hands !== undefined && (!Number.isInteger(hands) || hands < 1 || hands > 25)) {
+      return res.status(400).json({ error: 'Hands must be a whole number from 1 to 25' });
+    }
+
+    if (targetScore !== undefined && (typeof targetScore !== 'number' || targetScore < 1 || targetScore > 100)) {
+      return res.status(400).json({ error: 'Target score must be from 1 to 100' });
+    }
+
+    if (clientSeed !== undefined && (typeof clientSeed !== 'string' || clientSeed.length === 0 || clientSeed.length > 64)) {
+      return res.status(400).json({ error: 'Client seed must be a string of 1-64 characters' });
+    }
+
+    // Check if user has sufficient balance
+    const user = await User.findById(req.user.id).select('+nextServerSeed');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.balance < stake) {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+
+    if (await isSeated(user._id.toString())) {
+      return res.status(400).json({ error: 'Already seated at a table' });
+    }
+
+    if (await Tournament.hasActiveEntry(user._id.toString())) {
+      return res.status(400).json({ error: 'Already entered in a tournament' });
+    }
+
+    // A client seed only counts if the match seed it is mixed with was committed to first
+    if (clientSeed !== undefined && !user.nextServerSeed) {
+      return res.status(400).json({ error: 'Get your server seed hash (GET /api/games/seed) before picking a client seed' });
+    }
+
+    // The stake is collected once for the whole match
+    if (!await User.chargeBalance(user._id, stake)) {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+
+    // The match keeps a whole free table until its last hand
+    const seats = createSeats(user, stake);
+    const sat = await takeSeat({ amount: stake, currentPlayers: 0 }, seats[0], 0, { status: 'playing' });
+
+    if (!sat) {
+      await User.creditBalance(user._id, stake);
+      return res.status(400).json({ error: 'No free table at this stake' });
+    }
+
+    const table = sat.table;
+
+    const match = new Match({
+      seats,
+      stake,
+      pot: stake,
+      format: hands !== undefined ? 'hands' : 'score',
+      handsToPlay: hands,
+      targetScore,
+      table: table._id,
+      // Every hand of the match plays under the same rules snapshot
+      rules: snapshotRules(await RuleSet.findById(table.ruleSet)),
+      clientSeed,
+      // Every hand's server seed is derived from this one
+      fairness: commitServerSeed(await useCommittedSeed(user)),
+      standings: createStandings(seats)
+    });
+
+    await match.save();
+
+    const game = await startHand({
+      players: seats,
+      stake,
+      rules: match.rules,
+      table,
+      clientSeed,
+      match
+    });
+
+    // Emit lobby update
+    emitLobbyUpdate();
+
+    res.json({
+      match: await Match.findById(match._id),
+      game: sanitizeGameForPlayer(game, user._id.toString())
+    });
+  } catch (error) {
+    console.error('Create match error:', error);
+    res.status(500).json({ error: 'Server error creating match' });
+  }
+};
+
+// @route   GET /api/matches/:id
+// @desc    Get match by ID with standings and hand history
+// @access  Private
+exports.getMatchById = async (req, res) => {
+  try {
+    // The match seed is only serialized once the match has ended, so its hands can be verified afterwards
+    const match = await Match.findById(req.params.id).select('+fairness.serverSeed');
+
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    // Check if user is part of this match
+    if (!match.seats.some(s => s.id === req.user.id)) {
+      return res.status(403).json({ error: 'Not authorized to view this match' });
+    }
+
+    res.json(match);
+  } catch (error) {
+    console.error('Get match error:', error);
+    res.status(500).json({ error: 'Server error getting match' });
+  }
+};
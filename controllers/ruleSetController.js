@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const RuleSet = require('../models/RuleSet');
+const Table = require('../models/Table');
+
+// Rule fields an admin may set
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'handSize',
+  'ranks',
+  'lowDropThreshold',
+  'firstTurnDropThreshold',
+  'dropThreshold',
+  'instantTonkScores',
+  'caughtDropPenalty',
+  'multipliers'
+];
+
+function pickRuleFields(body) {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+// @route   GET /api/rulesets
+// @desc    Get all rule sets
+// @access  Public
+exports.getRuleSets = async (req, res) => {
+  try {
+    const ruleSets = await RuleSet.find().sort({ name: 1 });
+    res.json(ruleSets);
+  } catch (error) {
+    console.error('Get rule sets error:', error);
+    res.status(500).json({ error: 'Server error getting rule sets' });
+  }
+};
+
+// @route   POST /api/rulesets
+// @desc    Create a rule set (admin only)
+// @access  Private/Admin
+exports.createRuleSet = async (req, res) => {
+  try {
+    const ruleSet = new RuleSet(pickRuleFields(req.body));
+    await ruleSet.save();
+
+    res.json(ruleSet);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Create rule set error:', error);
+    res.status(500).json({ error: 'Server error creating rule set' });
+  }
+};
+
+// @route   PUT /api/rulesets/:id
+// @desc    Update a rule set (admin only) - games already in progress keep their snapshot
+// @access  Private/Admin
+exports.updateRuleSet = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    const ruleSet = await RuleSet.findById(req.params.id);
+
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    ruleSet.set(pickRuleFields(req.body));
+    await ruleSet.save();
+
+    res.json(ruleSet);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Update rule set error:', error);
+    res.status(500).json({ error: 'Server error updating rule set' });
+  }
+};
+
+// @route   PUT /api/rulesets/:id/tables/:tableId
+// @desc    Play a table under a rule set (admin only)
+// @access  Private/Admin
+exports.assignToTable = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    const ruleSet = await RuleSet.findById(req.params.id);
+
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+
+    const table = await Table.findOne({ tableId: req.params.tableId });
+
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    table.ruleSet = ruleSet._id;
+    await table.save();
+
+    res.json({
+      message: 'Rule set assigned successfully',
+      table: { id: table._id, tableId: table.tableId, amount: table.amount, ruleSet: ruleSet._id }
+    });
+  } catch (error) {
+    console.error('Assign rule set error:', error);
+    res.status(500).json({ error: 'Server error assigning rule set' });
+  }
+};
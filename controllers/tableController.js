@@ -1,5 +1,15 @@
 const Table = require('../models/Table');
 const Game = require('../models/Game');
+const User = require('../models/User');
+const RuleSet = require('../models/RuleSet');
+const Tournament = require('../models/Tournament');
+const { body, validationResult } = require('express-validator');
+const { isSeated } = require('../utils/tableSeats');
+const { sitAndJoin, leaveWaitingGame } = require('./gameController');
+const { sanitizeGameForPlayer } = require('../utils/gameView');
+const { getSpectatorCount, getNonPlayerView } = require('../utils/socketHelpers');
+const { PRIVATE_TABLE, normalizeJoinCode, createPrivateTable } = require('../utils/privateTables');
+const { AI_DIFFICULTY } = require('../utils/ai');
 
 // @route   GET /api/tables
 // @desc    Get all tables
@@ -7,7 +17,7 @@ const Game = require('../models/Game');
 exports.getTables = async (req, res) => {
   console.log('📥 GET /api/tables - Fetching all tables');
   try {
-    const tables = await Table.find().sort({ amount: 1 });
+    const tables = await Table.find({ isPrivate: { $ne: true } }).sort({ amount: 1 });
     console.log(`✅ Found ${tables.length} tables`);
     res.json(tables);
   } catch (error) {
@@ -86,7 +96,13 @@ exports.getTableGames = async (req, res) => {
       return res.status(404).json({ error: 'Table not found' });
     }
 
-    const activeGames = table.activeGames.filter(game => game.status !== 'ended');
+    // Hands stay hidden and play is delayed - this is the same projection spectators get
+    const activeGames = table.activeGames
+      .filter(game => game.status !== 'ended')
+      .map(game => ({
+        ...getNonPlayerView(game),
+        spectators: getSpectatorCount(game._id.toString())
+      }));
     console.log(`✅ Found ${activeGames.length} active games for table ${table.tableId}`);
 
     res.json(activeGames);
@@ -151,3 +167,202 @@ exports.updateTable = async (req, res) => {
     res.status(500).json({ error: 'Server error updating table' });
   }
 };
+
+// @route   POST /api/tables/:tableId/sit
+// @desc    Sit at a table (optionally at a given seat) and join its waiting game
+// @access  Private
+exports.sitAtTable = async (req, res) => {
+  console.log(`📥 POST /api/tables/${req.params.tableId}/sit - Taking a seat`);
+  try {
+    const { seat, joinCode } = req.body;
+    const table = await Table.findOne({ tableId: req.params.tableId, isActive: true }).select('+joinCode');
+
+    if (!table) {
+      console.warn('⚠️ Table not found');
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    if (table.isPrivate && normalizeJoinCode(joinCode) !== table.joinCode) {
+      console.warn('⚠️ Wrong join code for private table');
+      return res.status(403).json({ error: 'Invalid join code' });
+    }
+
+    if (seat !== undefined && (!Number.isInteger(seat) || seat < 0 || seat >= table.maxPlayers)) {
+      return res.status(400).json({ error: `Seat must be from 0 to ${table.maxPlayers - 1}` });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.balance < table.amount) {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+
+    if (await isSeated(user._id.toString())) {
+      return res.status(400).json({ error: 'Already seated at a table' });
+    }
+
+    if (await Tournament.hasActiveEntry(user._id.toString())) {
+      return res.status(400).json({ error: 'Already entered in a tournament' });
+    }
+
+    // Deduct stake from user's balance
+    if (!await User.chargeBalance(user._id, table.amount)) {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+
+    const tableFilter = table.isPrivate ? { tableId: table.tableId, isPrivate: true } : { tableId: table.tableId };
+    const joined = await sitAndJoin(user, table.amount, tableFilter, seat);
+
+    if (!joined) {
+      await User.creditBalance(user._id, table.amount);
+      console.warn('⚠️ Seat not available');
+      return res.status(400).json({ error: 'Seat is not available' });
+    }
+
+    console.log(`✅ ${user.username} sat at ${table.tableId} seat ${joined.seat}`);
+    res.json({
+      tableId: table.tableId,
+      seat: joined.seat,
+      game: sanitizeGameForPlayer(joined.game, user._id.toString())
+    });
+  } catch (error) {
+    console.error('❌ Sit at table error:', error);
+    res.status(500).json({ error: 'Server error taking a seat' });
+  }
+};
+
+// @route   POST /api/tables/:tableId/stand
+// @desc    Stand up from a table before its game starts and get the stake back
+// @access  Private
+exports.standFromTable = async (req, res) => {
+  console.log(`📥 POST /api/tables/${req.params.tableId}/stand - Leaving a seat`);
+  try {
+    const table = await Table.findOne({ tableId: req.params.tableId });
+
+    if (!table) {
+      console.warn('⚠️ Table not found');
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    if (!table.seats.some(s => s.playerId === req.user.id)) {
+      return res.status(400).json({ error: 'Not seated at this table' });
+    }
+
+    const game = await Game.findOne({ tableId: table.tableId, status: 'waiting', gameStarted: false, 'players.id': req.user.id })
+      .select('stake tableId');
+    const user = game ? await leaveWaitingGame(game, req.user.id) : null;
+
+    if (!user) {
+      return res.status(400).json({ error: 'Cannot stand up during a hand' });
+    }
+
+    console.log(`✅ Player stood up from ${table.tableId}`);
+    res.json({ message: 'Stood up from the table', balance: user.balance });
+  } catch (error) {
+    console.error('❌ Stand from table error:', error);
+    res.status(500).json({ error: 'Server error leaving seat' });
+  }
+};
+
+
+// @route   POST /api/tables/private
+// @desc    Create an invite-only table with its own stake, seats and rules
+// @access  Private
+exports.createPrivateTable = [
+  body('amount').isFloat({ min: 1, max: 1000 }).withMessage('Stake must be from $1 to $1000')
+    .custom(amount => /^\d+(\.\d{1,2})?$/.test(String(amount))).withMessage('Stake must be in whole cents'),
+  body('maxPlayers').optional().isInt({ min: PRIVATE_TABLE.MIN_SEATS, max: PRIVATE_TABLE.MAX_SEATS })
+    .withMessage(`Seats must be from ${PRIVATE_TABLE.MIN_SEATS} to ${PRIVATE_TABLE.MAX_SEATS}`),
+  body('ruleSet').optional().isMongoId().withMessage('Invalid rule set'),
+  body('turnTimeLimit').optional().isInt({ min: 10, max: 300 }).withMessage('Turn time must be 10-300 seconds'),
+  body('queueWaitTime').optional().isInt({ min: 0, max: 300 }).withMessage('Wait time must be 0-300 seconds'),
+  body('aiDifficulty').optional().isIn(Object.values(AI_DIFFICULTY))
+    .withMessage(`AI difficulty must be one of ${Object.values(AI_DIFFICULTY).join(', ')}`),
+
+  async (req, res) => {
+    console.log('📥 POST /api/tables/private - Creating private table');
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { amount, maxPlayers, ruleSet, turnTimeLimit, queueWaitTime, aiDifficulty } = req.body;
+
+      if (ruleSet && !(await RuleSet.exists({ _id: ruleSet }))) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+
+      const owned = await Table.countDocuments({ isPrivate: true, owner: req.user.id });
+
+      if (owned >= PRIVATE_TABLE.MAX_PER_USER) {
+        console.warn('⚠️ Private table limit reached');
+        return res.status(400).json({ error: `You can have at most ${PRIVATE_TABLE.MAX_PER_USER} private tables` });
+      }
+
+      const table = await createPrivateTable({
+        amount: Number(amount),
+        maxPlayers: maxPlayers ?? PRIVATE_TABLE.MAX_SEATS,
+        ruleSet,
+        turnTimeLimit,
+        queueWaitTime,
+        aiDifficulty,
+        owner: req.user.id
+      });
+
+      console.log(`✅ Private table ${table.tableId} created`);
+      res.json({
+        id: table._id,
+        tableId: table.tableId,
+        joinCode: table.joinCode,
+        amount: table.amount,
+        maxPlayers: table.maxPlayers,
+        ruleSet: table.ruleSet,
+        turnTimeLimit: table.turnTimeLimit,
+        queueWaitTime: table.queueWaitTime,
+        aiDifficulty: table.aiDifficulty
+      });
+    } catch (error) {
+      console.error('❌ Create private table error:', error);
+      res.status(500).json({ error: 'Server error creating private table' });
+    }
+  }
+];
+
+// @route   GET /api/tables/private/:code
+// @desc    Find a private table by its join code
+// @access  Private
+exports.getPrivateTable = async (req, res) => {
+  console.log('📥 GET /api/tables/private/:code - Looking up private table');
+  try {
+    const table = await Table.findOne({ isPrivate: true, isActive: true, joinCode: normalizeJoinCode(req.params.code) })
+      .populate('ruleSet', 'name description');
+
+    if (!table) {
+      console.warn('⚠️ No private table for code');
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    console.log('✅ Private table found:', table.tableId);
+    res.json({
+      id: table._id,
+      tableId: table.tableId,
+      amount: table.amount,
+      maxPlayers: table.maxPlayers,
+      currentPlayers: table.currentPlayers,
+      status: table.status,
+      seats: table.seats.map(s => ({ index: s.index, playerId: s.playerId, username: s.username })),
+      ruleSet: table.ruleSet,
+      turnTimeLimit: table.turnTimeLimit,
+      queueWaitTime: table.queueWaitTime,
+      aiDifficulty: table.aiDifficulty
+    });
+  } catch (error) {
+    console.error('❌ Get private table error:', error);
+    res.status(500).json({ error: 'Server error getting private table' });
+  }
+};
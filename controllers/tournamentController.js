@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const RuleSet = require('../models/RuleSet');
+const { body, validationResult } = require('express-validator');
+const { snapshotRules } = require('../utils/gameRules');
+const { isSeated } = require('../utils/tableSeats');
+const { PAYOUT_SPLITS, getTournamentView } = require('../utils/tournaments');
+const { startTournament } = require('./gameController');
+const { emitLobbyUpdate, emitTournamentUpdate } = require('../utils/socketHelpers');
+
+// Tell the lobby how full a tournament is
+function emitRegistration(tournament) {
+  emitLobbyUpdate({
+    type: 'tournament',
+    tournament: {
+      id: tournament._id,
+      status: tournament.status,
+      entrantCount: tournament.entrants.length,
+      maxEntrants: tournament.maxEntrants,
+      prizePool: tournament.prizePool
+    }
+  });
+  emitTournamentUpdate(tournament._id.toString(), getTournamentView(tournament));
+}
+
+// @route   POST /api/tournaments
+// @desc    Create a sit-and-go tournament (admin only)
+// @access  Private/Admin
+exports.createTournament = [
+  body('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('buyIn').isFloat({ min: 1, max: 1000 }).withMessage('Buy-in must be from $1 to $1000'),
+  body('maxEntrants').isIn(Object.keys(PAYOUT_SPLITS).map(Number))
+    .withMessage(`Entrants must be one of ${Object.keys(PAYOUT_SPLITS).join(', ')}`),
+  body('startingChips').optional().isInt({ min: 100, max: 100000 }).withMessage('Starting chips must be 100-100000'),
+  body('stakeSchedule').optional().isArray({ min: 1, max: 30 }).withMessage('Stake schedule must list 1-30 levels')
+    .custom(schedule => schedule.every((stake, i) => Number.isInteger(stake) && stake >= 1 && (i === 0 || stake >= schedule[i - 1])))
+    .withMessage('Stakes must be whole chips that never go down'),
+  body('handsPerLevel').optional().isInt({ min: 1, max: 50 }).withMessage('Hands per level must be 1-50'),
+  body('ruleSet').optional().isMongoId().withMessage('Invalid rule set'),
+  body('turnTimeLimit').optional().isInt({ min: 10, max: 300 }).withMessage('Turn time must be 10-300 seconds'),
+
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, buyIn, maxEntrants, startingChips, stakeSchedule, handsPerLevel, ruleSet, turnTimeLimit } = req.body;
+      const rules = ruleSet ? await RuleSet.findById(ruleSet) : null;
+
+      if (ruleSet && !rules) {
+        return res.status(404).json({ error: 'Rule set not found' });
+      }
+
+      const tournament = new Tournament({
+        name,
+        buyIn,
+        maxEntrants,
+        startingChips,
+        stakeSchedule,
+        handsPerLevel,
+        // Every hand of the tournament plays under the same rules snapshot
+        rules: snapshotRules(rules),
+        turnTimeLimit,
+        createdBy: req.user.id
+      });
+
+      await tournament.save();
+      emitRegistration(tournament);
+
+      res.json(getTournamentView(tournament));
+    } catch (error) {
+      console.error('Create tournament error:', error);
+      res.status(500).json({ error: 'Server error creating tournament' });
+    }
+  }
+];
+
+// @route   GET /api/tournaments
+// @desc    Get tournaments open for registration or running
+// @access  Public
+exports.getTournaments = async (req, res) => {
+  try {
+    const status = req.query.status ? [req.query.status] : ['registering', 'running'];
+
+    const tournaments = await Tournament.find({ status: { $in: status } })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json(tournaments.map(getTournamentView));
+  } catch (error) {
+    console.error('Get tournaments error:', error);
+    res.status(500).json({ error: 'Server error getting tournaments' });
+  }
+};
+
+// @route   GET /api/tournaments/:id
+// @desc    Get a tournament with its bracket, standings and payouts
+// @access  Public
+exports.getTournamentById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    res.json(getTournamentView(tournament));
+  } catch (error) {
+    console.error('Get tournament error:', error);
+    res.status(500).json({ error: 'Server error getting tournament' });
+  }
+};
+
+// @route   POST /api/tournaments/:id/register
+// @desc    Buy in to a tournament - it starts as soon as the last seat is taken
+// @access  Private
+exports.register = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    if (tournament.status !== 'registering') {
+      return res.status(400).json({ error: 'Registration is closed' });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.balance < tournament.buyIn) {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+
+    if (await isSeated(user._id.toString())) {
+      return res.status(400).json({ error: 'Already seated at a table' });
+    }
+
+    if (await Tournament.hasActiveEntry(user._id.toString())) {
+      return res.status(400).json({ error: 'Already entered in a tournament' });
+    }
+
+    // Collect the buy-in
+    if (!await User.chargeBalance(user._id, tournament.buyIn)) {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+
+    // Take a seat only while there is one left
+    const registered = await Tournament.findOneAndUpdate(
+      {
+        _id: tournament._id,
+        status: 'registering',
+        'entrants.id': { $ne: user._id.toString() },
+        $expr: { $lt: [{ $size: '$entrants' }, '$maxEntrants'] }
+      },
+      {
+        $push: {
+          entrants: {
+            id: user._id.toString(),
+            username: user.username,
+            avatar: user.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(user.username)}&background=0D8ABC&color=fff`
+          }
+        },
+        $inc: { prizePool: tournament.buyIn, __v: 1 }
+      },
+      { new: true }
+    );
+
+    if (!registered) {
+      await User.creditBalance(user._id, tournament.buyIn);
+      return res.status(400).json({ error: 'Tournament is full' });
+    }
+
+    emitRegistration(registered);
+
+    // Sit-and-go: the last registration starts the tournament
+    const started = registered.entrants.length >= registered.maxEntrants
+      ? await startTournament(registered._id)
+      : null;
+
+    res.json(getTournamentView(started || registered));
+  } catch (error) {
+    console.error('Tournament registration error:', error);
+    res.status(500).json({ error: 'Server error registering for tournament' });
+  }
+};
+
+// @route   DELETE /api/tournaments/:id/register
+// @desc    Withdraw from a tournament before it starts and get the buy-in back
+// @access  Private
+exports.unregister = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findById(req.params.id).select('buyIn');
+
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    // Only withdraw if the tournament hasn't started in the meantime
+    const withdrawn = await Tournament.findOneAndUpdate(
+      { _id: tournament._id, status: 'registering', 'entrants.id': req.user.id },
+      { $pull: { entrants: { id: req.user.id } }, $inc: { prizePool: -tournament.buyIn, __v: 1 } },
+      { new: true }
+    );
+
+    if (!withdrawn) {
+      return res.status(400).json({ error: 'Not registered, or the tournament has started' });
+    }
+
+    // Refund the buy-in
+    const user = await User.creditBalance(req.user.id, tournament.buyIn);
+
+    emitRegistration(withdrawn);
+
+    res.json({ message: 'Withdrawn from tournament', balance: user.balance });
+  } catch (error) {
+    console.error('Tournament withdrawal error:', error);
+    res.status(500).json({ error: 'Server error withdrawing from tournament' });
+  }
+};
+
+// @route   DELETE /api/tournaments/:id
+// @desc    Cancel a tournament that hasn't started and refund every buy-in (admin only)
+// @access  Private/Admin
+exports.cancelTournament = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    const tournament = await Tournament.findOneAndUpdate(
+      { _id: req.params.id, status: 'registering' },
+      { $set: { status: 'cancelled', endedAt: Date.now() }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (!tournament) {
+      return res.status(400).json({ error: 'Only tournaments still registering can be cancelled' });
+    }
+
+    for (const entrant of tournament.entrants) {
+      await User.creditBalance(entrant.id, tournament.buyIn);
+    }
+
+    emitRegistration(tournament);
+
+    res.json({ message: 'Tournament cancelled', refunded: tournament.entrants.length });
+  } catch (error) {
+    console.error('Cancel tournament error:', error);
+    res.status(500).json({ error: 'Server error cancelling tournament' });
+  }
+};
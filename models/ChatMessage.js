@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const chatMessageSchema = new mongoose.Schema({
+  // Socket room the message was sent to: 'lobby' or 'game-<id>'
+  channel: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: String,
+  text: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  // True when the word filter changed the text
+  filtered: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Capped - the oldest messages roll off once the collection is full
+  capped: { size: 5 * 1024 * 1024, max: 20000 }
+});
+
+// Index for efficient queries
+chatMessageSchema.index({ channel: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
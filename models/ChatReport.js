@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const chatReportSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    required: true
+  },
+  // Copied from the message, which may roll out of the capped collection before review
+  channel: String,
+  text: String,
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned'],
+    default: 'open'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient queries
+chatReportSchema.index({ status: 1, createdAt: -1 });
+chatReportSchema.index({ message: 1, reportedBy: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChatReport', chatReportSchema);
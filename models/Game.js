@@ -8,21 +8,65 @@ const cardSchema = new mongoose.Schema({
   isHidden: { type: Boolean, default: false }
 });
 
+const spreadSchema = new mongoose.Schema({
+  id: String,
+  type: {
+    type: String,
+    enum: ['set', 'run']
+  },
+  cards: [cardSchema]
+});
+
 const playerSchema = new mongoose.Schema({
   id: String,
   username: String,
   avatar: String,
   isAI: { type: Boolean, default: false },
   hand: [cardSchema],
+  spreads: [spreadSchema],
   isDropped: { type: Boolean, default: false },
   canDrop: { type: Boolean, default: false },
   score: { type: Number, default: 0 },
   penalties: { type: Number, default: 0 },
   hitCount: { type: Number, default: 0 },
   hasDrawn: { type: Boolean, default: false },
+  // Discards this hand - a player is on their first turn until they make one
+  turnsTaken: Number,
+  timeouts: { type: Number, default: 0 },
+  forfeited: { type: Boolean, default: false },
+  // Left the game - the seat is forfeited and owes nothing beyond the stake already in the pot
+  left: { type: Boolean, default: false },
+  // Disconnected players - AI plays the seat (autopilot) once the grace period runs out
+  away: { type: Boolean, default: false },
+  awaySince: Date,
+  autopilot: { type: Boolean, default: false },
+  // Table seat index, while waiting for the game to start
+  seat: Number,
+  // Client seed picked after the waiting game published its server seed hash
+  clientSeed: String,
+  // Stake actually collected from this seat (AI seats pay nothing)
+  stakePaid: { type: Number, default: 0 },
+  // Public record of the hand: discards taken and still held, and cards passed on or thrown away
+  taken: [cardSchema],
+  passed: [cardSchema],
   dropTime: Date
 }); 
 
+const settlementSchema = new mongoose.Schema({
+  pot: Number,
+  bonuses: Number,
+  penalty: Number,
+  rake: Number,
+  house: Number,
+  entries: [{
+    playerId: String,
+    staked: Number,
+    charged: Number,
+    payout: Number,
+    net: Number
+  }]
+}, { _id: false });
+
 const  gameSchema = new mongoose.Schema({
   players: [playerSchema],
   currentPlayerIndex: {
@@ -41,17 +85,67 @@ const  gameSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Sum of the stakes actually collected
   pot: {
     type: Number,
-    default: function() {
-      return this.stake * 4;
-    }
+    default: 0
   },
+  // Provably fair shuffle: the seed hash is public from the start, the seed is revealed when the game ends
+  fairness: {
+    serverSeed: {
+      type: String,
+      select: false
+    },
+    serverSeedHash: String,
+    clientSeed: String,
+    revealedAt: Date
+  },
+  reshuffles: {
+    type: Number,
+    default: 0
+  },
+  // Snapshot of the table's RuleSet taken when the game was created
+  rules: mongoose.Schema.Types.Mixed,
   winner: String,
+  winners: [String],
+  winType: {
+    type: String,
+    enum: ['drop', 'out', 'tonk', 'reem', 'stockout']
+  },
+  showdown: {
+    droppedBy: String,
+    caught: Boolean,
+    penalty: Number,
+    scores: [{
+      playerId: String,
+      score: Number,
+      hand: [cardSchema]
+    }]
+  },
+  // Zero-sum settlement recorded when the hand is paid out
+  settlement: settlementSchema,
   winningMultiplier: {
     type: Number,
     default: 1
   },
+  // The Table's tableId this game is dealt at
+  tableId: String,
+  // Set when the game is one hand at a tournament table
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament'
+  },
+  // Played at an invite-only table - kept out of the public queue
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Matchmaking - a waiting game starts when full or at its queue deadline
+  maxPlayers: {
+    type: Number,
+    default: 4
+  },
+  queueDeadline: Date,
   gameStarted: {
     type: Boolean,
     default: false
@@ -60,6 +154,23 @@ const  gameSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Set when the game is one hand of a multi-hand match
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match'
+  },
+  handNumber: Number,
+  nextGame: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  },
+  // Seconds each player has to act before the sweeper plays for them
+  turnTimeLimit: {
+    type: Number,
+    default: 30
+  },
+  // The table's AI difficulty, if it sets one for every AI seat
+  aiDifficulty: String,
   lastActionAt: {
     type: Date,
     default: Date.now
@@ -71,6 +182,8 @@ const  gameSchema = new mongoose.Schema({
     player: String,
     timestamp: Date,
     card: cardSchema,
+    cards: [cardSchema],
+    spreadId: String,
     score: Number,
     multiplier: Number,
     penalties: [{
@@ -81,12 +194,26 @@ const  gameSchema = new mongoose.Schema({
   },
   endTime: Date
 }, {
-  timestamps: true
+  timestamps: true,
+  optimisticConcurrency: true
 });
 
+// Never serialize the server seed before the game has ended
+function hideServerSeed(doc, ret) {
+  if (ret.fairness && ret.status !== 'ended') {
+    delete ret.fairness.serverSeed;
+  }
+  return ret;
+}
+
+gameSchema.set('toJSON', { transform: hideServerSeed });
+gameSchema.set('toObject', { transform: hideServerSeed });
+
 // Index for efficient queries
 gameSchema.index({ status: 1, createdAt: -1 });
 gameSchema.index({ 'players.id': 1 });
+gameSchema.index({ status: 1, stake: 1, createdAt: 1 });
+gameSchema.index({ tableId: 1, status: 1 });
 
 module.exports = mongoose.model('Game', gameSchema); 
  
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const seatSchema = new mongoose.Schema({
+  id: String,
+  username: String,
+  avatar: String,
+  isAI: { type: Boolean, default: false },
+  forfeited: { type: Boolean, default: false },
+  stakePaid: { type: Number, default: 0 }
+}, { _id: false });
+
+const handResultSchema = new mongoose.Schema({
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  },
+  handNumber: Number,
+  firstPlayerIndex: Number,
+  winners: [String],
+  winType: String,
+  multiplier: Number,
+  scores: [{
+    playerId: String,
+    score: Number
+  }],
+  endTime: Date
+}, { _id: false });
+
+const settlementSchema = new mongoose.Schema({
+  pot: Number,
+  rake: Number,
+  house: Number,
+  entries: [{
+    playerId: String,
+    staked: Number,
+    payout: Number,
+    net: Number
+  }]
+}, { _id: false });
+
+const matchSchema = new mongoose.Schema({
+  seats: [seatSchema],
+  stake: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Sum of the stakes actually collected
+  pot: {
+    type: Number,
+    default: 0
+  },
+  // Play a fixed number of hands, or until someone reaches the target score
+  format: {
+    type: String,
+    enum: ['hands', 'score'],
+    default: 'hands'
+  },
+  handsToPlay: {
+    type: Number,
+    min: 1,
+    max: 25
+  },
+  targetScore: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table'
+  },
+  rules: mongoose.Schema.Types.Mixed,
+  clientSeed: String,
+  // Provably fair: the match seed hash is published before the client seed is picked, each hand deals
+  // from a seed derived from it, and the match seed is revealed when the match ends
+  fairness: {
+    serverSeed: {
+      type: String,
+      select: false
+    },
+    serverSeedHash: String
+  },
+  hands: [handResultSchema],
+  standings: [{
+    playerId: String,
+    points: { type: Number, default: 0 },
+    handsWon: { type: Number, default: 0 }
+  }],
+  currentGame: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  },
+  status: {
+    type: String,
+    enum: ['playing', 'ended'],
+    default: 'playing'
+  },
+  winners: [String],
+  settlement: settlementSchema,
+  endTime: Date
+}, {
+  timestamps: true
+});
+
+// Never serialize the match seed before the match has ended
+function hideServerSeed(doc, ret) {
+  if (ret.fairness && ret.status !== 'ended') {
+    delete ret.fairness.serverSeed;
+  }
+  return ret;
+}
+
+matchSchema.set('toJSON', { transform: hideServerSeed });
+matchSchema.set('toObject', { transform: hideServerSeed });
+
+// Index for efficient queries
+matchSchema.index({ status: 1, createdAt: -1 });
+matchSchema.index({ 'seats.id': 1 });
+
+module.exports = mongoose.model('Match', matchSchema);
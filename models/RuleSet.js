@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { CARD_VALUES, TONK_RANKS } = require('../utils/cards');
+
+const ruleSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  handSize: {
+    type: Number,
+    default: 5,
+    min: 3,
+    max: 10
+  },
+  ranks: {
+    type: [{
+      type: String,
+      enum: Object.keys(CARD_VALUES)
+    }],
+    default: () => [...TONK_RANKS]
+  },
+  lowDropThreshold: {
+    type: Number,
+    default: 11,
+    min: 0
+  },
+  firstTurnDropThreshold: {
+    type: Number,
+    default: 41,
+    min: 0
+  },
+  dropThreshold: {
+    type: Number,
+    default: 50,
+    min: 0
+  },
+  instantTonkScores: {
+    type: [Number],
+    default: () => [49, 50]
+  },
+  caughtDropPenalty: {
+    type: Number,
+    default: 2,
+    min: 0
+  },
+  multipliers: {
+    lowDrop: { type: Number, default: 3, min: 1 },
+    firstTurnDrop: { type: Number, default: 3, min: 1 },
+    maxDrop: { type: Number, default: 2, min: 1 },
+    tonk: { type: Number, default: 3, min: 1 },
+    reem: { type: Number, default: 2, min: 1 },
+    out: { type: Number, default: 1, min: 1 },
+    stockOut: { type: Number, default: 1, min: 1 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Make sure the deck can deal a full table plus the first discard
+ruleSetSchema.pre('validate', function(next) {
+  if (new Set(this.ranks).size !== this.ranks.length) {
+    this.invalidate('ranks', 'Deck ranks must be unique');
+  }
+
+  if (this.ranks.length * 4 < this.handSize * 4 + 1) {
+    this.invalidate('ranks', 'Deck is too small for the hand size');
+  }
+
+  if (this.lowDropThreshold > this.dropThreshold) {
+    this.invalidate('lowDropThreshold', 'Low drop threshold cannot exceed the drop threshold');
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('RuleSet', ruleSetSchema);
@@ -1,5 +1,15 @@
 const  mongoose = require('mongoose');
 
+const seatSchema = new mongoose.Schema({
+  index: Number,
+  playerId: String,
+  username: String,
+  sittingSince: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const tableSchema = new mongoose.Schema({
   tableId: {
     type: String,
@@ -14,10 +24,59 @@ const tableSchema = new mongoose.Schema({
     type: Number,
     default: 4
   },
+  // Humans seated - kept equal to seats.length by atomic updates
   currentPlayers: {
     type: Number,
     default: 0
   },
+  seats: [seatSchema],
+  // A table deals one game at a time; 'open' while it is taking seats
+  status: {
+    type: String,
+    enum: ['open', 'playing'],
+    default: 'open'
+  },
+  currentGame: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  },
+  turnTimeLimit: {
+    type: Number,
+    default: 30,
+    min: 10,
+    max: 300
+  },
+  // One difficulty for every AI seat - unset seats the usual mix of AI
+  aiDifficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', 'expert']
+  },
+  // Seconds a matchmaking game waits for humans before AI fill the empty seats
+  queueWaitTime: {
+    type: Number,
+    default: 30,
+    min: 0,
+    max: 300
+  },
+  // House rake taken from each pot, as a percent with an optional cap per pot
+  rakePercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  rakeCap: {
+    type: Number,
+    min: 0
+  },
+  rakeCollected: {
+    type: Number,
+    default: 0
+  },
+  ruleSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RuleSet'
+  },
   activeGames: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Game'
@@ -26,6 +85,24 @@ const tableSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Invite-only tables are hidden from the lobby and need the join code to sit
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  joinCode: {
+    type: String,
+    select: false
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set on the tables a tournament opens for each round
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -44,6 +121,9 @@ tableSchema.pre('save', function(next) {
 
 // Index for efficient queries
 tableSchema.index({ amount: 1, isActive: 1 });
+tableSchema.index({ 'seats.playerId': 1 });
+tableSchema.index({ joinCode: 1 }, { unique: true, sparse: true });
+tableSchema.index({ isPrivate: 1, lastUpdated: 1 });
 
 module.exports = mongoose.model('Table', tableSchema);
  
\ No newline at end of file
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const entrantSchema = new mongoose.Schema({
+  id: String,
+  username: String,
+  avatar: String,
+  chips: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['registered', 'playing', 'eliminated', 'winner'],
+    default: 'registered'
+  },
+  // Finishing position (1 = winner), set when the player is knocked out or wins
+  place: Number,
+  payout: { type: Number, default: 0 },
+  registeredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One table of one round - the table plays down until its survivors move up
+const bracketTableSchema = new mongoose.Schema({
+  round: Number,
+  tableId: String,
+  players: [String],
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  },
+  // Last hand recorded, so a hand is never counted twice
+  lastGame: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game'
+  },
+  handsPlayed: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['playing', 'finished'],
+    default: 'playing'
+  },
+  advanced: [String]
+}, { _id: false });
+
+const payoutSchema = new mongoose.Schema({
+  place: Number,
+  percent: Number,
+  amount: Number,
+  playerId: String
+}, { _id: false });
+
+const tournamentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  buyIn: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  maxEntrants: {
+    type: Number,
+    required: true
+  },
+  startingChips: {
+    type: Number,
+    default: 1000
+  },
+  // Stake per hand (in chips) at each level - the level goes up every handsPerLevel hands
+  stakeSchedule: {
+    type: [Number],
+    default: () => [10, 20, 30, 50, 75, 100, 150, 200, 300, 500]
+  },
+  handsPerLevel: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  rules: mongoose.Schema.Types.Mixed,
+  turnTimeLimit: {
+    type: Number,
+    default: 30,
+    min: 10,
+    max: 300
+  },
+  status: {
+    type: String,
+    enum: ['registering', 'running', 'finished', 'cancelled'],
+    default: 'registering'
+  },
+  entrants: [entrantSchema],
+  round: {
+    type: Number,
+    default: 0
+  },
+  bracket: [bracketTableSchema],
+  // Hands dealt across every table - drives the stake level
+  handsPlayed: {
+    type: Number,
+    default: 0
+  },
+  // Sum of the buy-ins collected
+  prizePool: {
+    type: Number,
+    default: 0
+  },
+  payouts: [payoutSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  endedAt: Date
+}, {
+  timestamps: true,
+  // Tables finish hands at the same time - a stale save must fail and be retried
+  optimisticConcurrency: true
+});
+
+// Index for efficient queries
+tournamentSchema.index({ status: 1, createdAt: -1 });
+tournamentSchema.index({ 'entrants.id': 1 });
+
+// Check if a player is registered for, or still playing in, a tournament - they can't sit anywhere else meanwhile
+tournamentSchema.statics.hasActiveEntry = function(playerId) {
+  return this.exists({
+    status: { $in: ['registering', 'running'] },
+    entrants: { $elemMatch: { id: playerId, status: { $in: ['registered', 'playing'] } } }
+  });
+};
+
+module.exports = mongoose.model('Tournament', tournamentSchema);
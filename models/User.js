@@ -81,6 +81,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Chat mute set by an admin
+  chatMutedUntil: Date,
+  chatMuteReason: String,
+  // Server seed for the user's next solo game - its hash is published before they pick a client seed
+  nextServerSeed: {
+    type: String,
+    select: false
+  },
   cashAppTag: {
     type: String,
     validate: {
@@ -151,6 +159,26 @@ userSchema.statics.findByEmailOrUsername = function(emailOrUsername) {
   });
 };
 
+// Static method to take money off a balance in one atomic update, so a charge never overwrites
+// a payout or refund saved at the same time. Resolves to the user, or null if they can't cover it.
+userSchema.statics.chargeBalance = function(userId, amount) {
+  return this.findOneAndUpdate(
+    { _id: userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true }
+  );
+};
+
+// Static method to add money (and any stat increments) to a balance in one atomic update.
+// Resolves to the user, or null if there is none.
+userSchema.statics.creditBalance = function(userId, amount, stats = {}) {
+  return this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { balance: amount, ...stats } },
+    { new: true }
+  );
+};
+
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', {
   virtuals: true,
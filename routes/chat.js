@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const chatController = require('../controllers/chatController');
+
+// @route   GET /api/chat/reports
+// @desc    Get chat reports to review (admin only)
+// @access  Private/Admin
+router.get('/reports', [auth, admin], chatController.getReports);
+
+// @route   PUT /api/chat/reports/:id
+// @desc    Dismiss or act on a chat report (admin only)
+// @access  Private/Admin
+router.put('/reports/:id', [auth, admin], chatController.reviewReport);
+
+// @route   POST /api/chat/users/:userId/mute
+// @desc    Mute a user in chat (admin only)
+// @access  Private/Admin
+router.post('/users/:userId/mute', [auth, admin], chatController.muteUser);
+
+// @route   DELETE /api/chat/users/:userId/mute
+// @desc    Lift a user's chat mute (admin only)
+// @access  Private/Admin
+router.delete('/users/:userId/mute', [auth, admin], chatController.unmuteUser);
+
+// @route   POST /api/chat/messages/:id/report
+// @desc    Report a chat message
+// @access  Private
+router.post('/messages/:id/report', auth, chatController.reportMessage);
+
+// @route   GET /api/chat/:channel
+// @desc    Get recent messages for a channel
+// @access  Private
+router.get('/:channel', auth, chatController.getHistory);
+
+module.exports = router;
@@ -3,7 +3,12 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const gameController = require('../controllers/gameController');
 
-// All routes are protected
+// @route   POST /api/games/verify
+// @desc    Re-derive a deck order from revealed seeds
+// @access  Public
+router.post('/verify', gameController.verifyShuffle);
+
+// All other routes are protected
 router.use(auth);
 
 // @route   POST /api/games
@@ -11,20 +16,50 @@ router.use(auth);
 // @access  Private
 router.post('/', gameController.createGame);
 
+// @route   POST /api/games/queue
+// @desc    Join the matchmaking queue for a stake
+// @access  Private
+router.post('/queue', gameController.joinQueue);
+
+// @route   DELETE /api/games/queue
+// @desc    Leave the matchmaking queue
+// @access  Private
+router.delete('/queue', gameController.leaveQueue);
+
+// @route   GET /api/games/queue
+// @desc    Get queue positions for a stake
+// @access  Private
+router.get('/queue', gameController.getQueue);
+
+// @route   GET /api/games/seed
+// @desc    Get the server seed hash for your next solo game
+// @access  Private
+router.get('/seed', gameController.getSeedCommitment);
+
 // @route   GET /api/games/:id
 // @desc    Get game by ID
 // @access  Private
 router.get('/:id', gameController.getGameById);
 
 // @route   POST /api/games/:id/join
-// @desc    Join an existing game
+// @desc    Take a seat in a waiting game
 // @access  Private
 router.post('/:id/join', gameController.joinGame);
 
+// @route   POST /api/games/:id/seed
+// @desc    Pick a client seed for a waiting game
+// @access  Private
+router.post('/:id/seed', gameController.setClientSeed);
+
 // @route   POST /api/games/:id/action
 // @desc    Perform a game action
 // @access  Private
 router.post('/:id/action', gameController.performAction);
 
+// @route   POST /api/games/:id/leave
+// @desc    Leave a game - refunded before the deal, forfeited to an AI after it
+// @access  Private
+router.post('/:id/leave', gameController.leaveGame);
+
 module.exports = router;
  
\ No newline at end of file
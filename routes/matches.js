@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const matchController = require('../controllers/matchController');
+
+// All routes are protected
+router.use(auth);
+
+// @route   POST /api/matches
+// @desc    Create a multi-hand match
+// @access  Private
+router.post('/', matchController.createMatch);
+
+// @route   GET /api/matches/:id
+// @desc    Get match by ID
+// @access  Private
+router.get('/:id', matchController.getMatchById);
+
+module.exports = router;
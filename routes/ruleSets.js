@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const ruleSetController = require('../controllers/ruleSetController');
+
+// @route   GET /api/rulesets
+// @desc    Get all rule sets
+// @access  Public
+router.get('/', ruleSetController.getRuleSets);
+
+// @route   POST /api/rulesets
+// @desc    Create a rule set (admin only)
+// @access  Private/Admin
+router.post('/', [auth, admin], ruleSetController.createRuleSet);
+
+// @route   PUT /api/rulesets/:id
+// @desc    Update a rule set (admin only)
+// @access  Private/Admin
+router.put('/:id', [auth, admin], ruleSetController.updateRuleSet);
+
+// @route   PUT /api/rulesets/:id/tables/:tableId
+// @desc    Play a table under a rule set (admin only)
+// @access  Private/Admin
+router.put('/:id/tables/:tableId', [auth, admin], ruleSetController.assignToTable);
+
+module.exports = router;
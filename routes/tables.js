@@ -1,39 +1,19 @@
 const  express = require('express');
 const router = express.Router();
 const Table = require('../models/Table');
-const Game = require('../models/Game');
+const auth = require('../middleware/auth');
+const tableController = require('../controllers/tableController');
+const { getTableSummary, countSeatedPlayers } = require('../utils/lobby');
 
 // @route   GET /api/tables
 // @desc    Get all available tables
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const tables = await Table.find({ isActive: true }).sort({ amount: 1 });
+    const tables = await Table.find({ isActive: true, isPrivate: { $ne: true } }).sort({ amount: 1 });
     
-    // Calculate current players for each table
-    const tablesWithCounts = await Promise.all(
-      tables.map(async (table) => {
-        const activeGames = await Game.find({
-          _id: { $in: table.activeGames },
-          status: { $in: ['waiting', 'playing'] }
-        });
-        
-        const humanPlayers = activeGames.reduce((count, game) => {
-          return count + game.players.filter(p => !p.isAI && !p.isDropped).length;
-        }, 0);
-        
-        return {
-          id: table._id,
-          tableId: table.tableId,
-          amount: table.amount,
-          maxPlayers: table.maxPlayers,
-          currentPlayers: humanPlayers,
-          activeGames: activeGames.map(g => g._id)
-        };
-      })
-    );
-    
-    res.json(tablesWithCounts);
+    // Seat counts are kept by atomic updates when players sit and stand
+    res.json(tables.map(getTableSummary));
   } catch (error) {
     console.error('Get tables error:', error);
     res.status(500).json({ error: 'Server error getting tables' });
@@ -45,21 +25,7 @@ router.get('/', async (req, res) => {
 // @access  Public
 router.get('/player-count', async (req, res) => {
   try {
-    const activeGames = await Game.find({ 
-      status: { $in: ['waiting', 'playing'] } 
-    });
-    
-    const playerSet = new Set();
-    
-    activeGames.forEach(game => {
-      game.players.forEach(player => {
-        if (!player.isAI && !player.isDropped) {
-          playerSet.add(player.id);
-        }
-      });
-    });
-    
-    res.json({ count: playerSet.size });
+    res.json({ count: await countSeatedPlayers() });
   } catch (error) {
     console.error('Get player count error:', error);
     res.status(500).json({ error: 'Server error getting player count' });
@@ -112,5 +78,30 @@ router.post('/initialize', async (req, res) => {
   }
 });
 
+// @route   POST /api/tables/private
+// @desc    Create an invite-only table
+// @access  Private
+router.post('/private', auth, tableController.createPrivateTable);
+
+// @route   GET /api/tables/private/:code
+// @desc    Find a private table by its join code
+// @access  Private
+router.get('/private/:code', auth, tableController.getPrivateTable);
+
+// @route   GET /api/tables/:tableId/games
+// @desc    Get a table's active games as spectators see them
+// @access  Public
+router.get('/:tableId/games', tableController.getTableGames);
+
+// @route   POST /api/tables/:tableId/sit
+// @desc    Sit at a table (private tables need joinCode in the body)
+// @access  Private
+router.post('/:tableId/sit', auth, tableController.sitAtTable);
+
+// @route   POST /api/tables/:tableId/stand
+// @desc    Stand up from a table
+// @access  Private
+router.post('/:tableId/stand', auth, tableController.standFromTable);
+
 module.exports = router;
  
\ No newline at end of file
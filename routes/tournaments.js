@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const tournamentController = require('../controllers/tournamentController');
+
+// @route   GET /api/tournaments
+// @desc    Get tournaments open for registration or running
+// @access  Public
+router.get('/', tournamentController.getTournaments);
+
+// @route   POST /api/tournaments
+// @desc    Create a sit-and-go tournament (admin only)
+// @access  Private/Admin
+router.post('/', [auth, admin], tournamentController.createTournament);
+
+// @route   GET /api/tournaments/:id
+// @desc    Get a tournament with its bracket, standings and payouts
+// @access  Public
+router.get('/:id', tournamentController.getTournamentById);
+
+// @route   DELETE /api/tournaments/:id
+// @desc    Cancel a tournament that hasn't started (admin only)
+// @access  Private/Admin
+router.delete('/:id', [auth, admin], tournamentController.cancelTournament);
+
+// @route   POST /api/tournaments/:id/register
+// @desc    Buy in to a tournament
+// @access  Private
+router.post('/:id/register', auth, tournamentController.register);
+
+// @route   DELETE /api/tournaments/:id/register
+// @desc    Withdraw from a tournament before it starts
+// @access  Private
+router.delete('/:id/register', auth, tournamentController.unregister);
+
+module.exports = router;
@@ -1,5 +1,4 @@
 const  express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const { Server } = require('socket.io');
@@ -15,7 +14,13 @@ const initializeTables = require('./utils/initTables');
 dotenv.config();
 
 const connectDB = require('./config/db');
-const { initializeSocket, emitLobbyUpdate } = require('./utils/socketHelpers');
+const { initializeSocket, getPlayerRoom, getSpectatorRoom, getTournamentRoom, removeSpectator, refreshSpectators } = require('./utils/socketHelpers');
+const { sweepTurnTimeouts, handleGameAction, resumeGames, joinGameRoom, markPlayerAway, spectateGame, stopSpectating } = require('./controllers/gameController');
+const { PRESENCE, markOnline, markOffline, refreshPresence } = require('./utils/presence');
+const { sendMessage } = require('./controllers/chatController');
+const { TURN_TIMER } = require('./utils/turnTimer');
+const { PRIVATE_TABLE, removeIdleTables } = require('./utils/privateTables');
+const { createRedisBroker, setBroker } = require('./utils/pubsub');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -101,6 +106,10 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/games', require('./routes/games'));
 app.use('/api/tables', require('./routes/tables'));
 app.use('/api/withdrawals', require('./routes/withdrawals'));
+app.use('/api/rulesets', require('./routes/ruleSets'));
+app.use('/api/matches', require('./routes/matches'));
+app.use('/api/chat', require('./routes/chat'));
+app.use('/api/tournaments', require('./routes/tournaments'));
 
 // Root route
 app.get('/', (req, res) => {
@@ -140,6 +149,26 @@ const io = new Server(server, {
   pingInterval: 25000
 });
 
+// Share socket broadcasts and game locks through Redis when it is configured, so several
+// server processes can run side by side. Without it everything stays in this process.
+if (process.env.REDIS_URL) {
+  const { createClient } = require('redis');
+  const publisher = createClient({ url: process.env.REDIS_URL });
+  const subscriber = publisher.duplicate();
+  
+  publisher.on('error', error => logger.error('Redis publisher error:', error));
+  subscriber.on('error', error => logger.error('Redis subscriber error:', error));
+  
+  Promise.all([publisher.connect(), subscriber.connect()])
+    .then(() => logger.info('Redis broker connected'))
+    .catch(error => {
+      logger.error('Redis connection failed:', error);
+      process.exit(1);
+    });
+  
+  setBroker(createRedisBroker({ publisher, subscriber }));
+}
+
 // Initialize socket helpers
 initializeSocket(io);
 
@@ -165,6 +194,14 @@ io.use((socket, next) => {
 io.on('connection', (socket) => {
   logger.info(`Client connected: ${socket.id} (User: ${socket.userId})`);
   
+  // Track presence and put the user back in any game they were playing
+  markOnline(socket.userId, socket.id).catch(error => {
+    logger.error('Error tracking presence:', error);
+  });
+  resumeGames(socket).catch(error => {
+    logger.error('Error resuming games:', error);
+  });
+  
   // Join lobby room
   socket.on('joinLobby', () => {
     socket.join('lobby');
@@ -177,12 +214,20 @@ io.on('connection', (socket) => {
     logger.info(`User ${socket.userId} left lobby`);
   });
   
-  // Join game room
-  socket.on('joinGame', (gameId) => {
+  // Join game room - seated players only; the shared room gets public events and game state
+  // goes to each player's own room
+  socket.on('joinGame', async (gameId) => {
     if (!gameId) return;
     
-    socket.join(`game-${gameId}`);
-    logger.info(`User ${socket.userId} joined game ${gameId}`);
+    try {
+      if (await joinGameRoom(socket, gameId)) {
+        logger.info(`User ${socket.userId} joined game ${gameId}`);
+      } else {
+        logger.warn(`User ${socket.userId} tried to join game ${gameId} without a seat`);
+      }
+    } catch (error) {
+      logger.error('Error joining game:', error);
+    }
   });
   
   // Leave game room
@@ -190,12 +235,78 @@ io.on('connection', (socket) => {
     if (!gameId) return;
     
     socket.leave(`game-${gameId}`);
+    socket.leave(getPlayerRoom(gameId, socket.userId));
     logger.info(`User ${socket.userId} left game ${gameId}`);
   });
   
+  // Play a move: ack({ ok: true, game }) or ack({ ok: false, error: { code, message } })
+  socket.on('gameAction', async (payload, ack) => {
+    const result = await handleGameAction(socket.userId, payload);
+    
+    if (typeof ack === 'function') {
+      ack(result);
+    }
+  });
+  
+  // Watch a game: ack({ ok: true, game, delay }) - events arrive delay seconds late
+  socket.on('spectateGame', async (gameId, ack) => {
+    const result = await spectateGame(socket, gameId);
+    
+    if (typeof ack === 'function') {
+      ack(result);
+    }
+  });
+  
+  socket.on('stopSpectating', (gameId) => {
+    stopSpectating(socket, gameId).catch(error => {
+      logger.error('Error leaving spectators:', error);
+    });
+  });
+  
+  // Follow a tournament's standings and bracket
+  socket.on('joinTournament', (tournamentId) => {
+    if (!tournamentId) return;
+    
+    socket.join(getTournamentRoom(tournamentId));
+    logger.info(`User ${socket.userId} joined tournament ${tournamentId}`);
+  });
+  
+  socket.on('leaveTournament', (tournamentId) => {
+    if (!tournamentId) return;
+    
+    socket.leave(getTournamentRoom(tournamentId));
+  });
+  
+  // Chat in the lobby or a game room: ack({ ok: true, message }) or ack({ ok: false, error })
+  socket.on('chatMessage', async (payload, ack) => {
+    const result = await sendMessage(socket.userId, payload);
+    
+    if (typeof ack === 'function') {
+      ack(result);
+    }
+  });
+  
+  // Stop counting the socket as a spectator while its rooms are still known
+  socket.on('disconnecting', () => {
+    const prefix = getSpectatorRoom('');
+    
+    [...socket.rooms].filter(room => room.startsWith(prefix)).forEach(room => {
+      removeSpectator(socket, room.slice(prefix.length)).catch(error => {
+        logger.error('Error removing spectator:', error);
+      });
+    });
+  });
+  
   // Handle disconnection
   socket.on('disconnect', (reason) => {
     logger.info(`Client disconnected: ${socket.id} (User: ${socket.userId}), Reason: ${reason}`);
+    
+    // Only the user's last socket going away, on any server process, counts as leaving
+    markOffline(socket.userId, socket.id)
+      .then(wasLast => wasLast && markPlayerAway(socket.userId))
+      .catch(error => {
+        logger.error('Error marking player away:', error);
+      });
   });
   
   // Handle connection errors
@@ -211,72 +322,38 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
   
-  // Set up periodic lobby updates
+  // Enforce turn timers
   setInterval(async () => {
     try {
-      await updateLobbyStats();
+      await sweepTurnTimeouts();
     } catch (error) {
-      logger.error('Error updating lobby stats:', error);
+      logger.error('Error sweeping turn timeouts:', error);
     }
-  }, 10000); // Update every 10 seconds
-});
-
-// Function to update lobby statistics
-async function updateLobbyStats() {
-  try {
-    const Game = mongoose.model('Game');
-    const Table = mongoose.model('Table');
-    
-    // Get active games
-    const activeGames = await Game.find({ 
-      status: { $in: ['waiting', 'playing'] } 
-    });
-    
-    // Count unique human players
-    const playerSet = new Set();
-    activeGames.forEach(game => {
-      game.players.forEach(player => {
-        if (!player.isAI && !player.isDropped) {
-          playerSet.add(player.id);
-        }
-      });
-    });
-    
-    // Get updated tables
-    const tables = await Table.find({ isActive: true });
-    
-    // Update table player counts
-    for (const table of tables) {
-      const tableGames = activeGames.filter(game => 
-        table.activeGames.includes(game._id)
-      );
-      
-      const humanPlayers = tableGames.reduce((count, game) => {
-        return count + game.players.filter(p => !p.isAI && !p.isDropped).length;
-      }, 0);
+  }, TURN_TIMER.SWEEP_INTERVAL);
+  
+  // Renew this process's sockets in the shared presence and spectator sets
+  setInterval(async () => {
+    try {
+      await refreshPresence();
+      await refreshSpectators();
+    } catch (error) {
+      logger.error('Error renewing presence:', error);
+    }
+  }, PRESENCE.HEARTBEAT);
+  
+  // Remove private tables nobody is using
+  setInterval(async () => {
+    try {
+      const removed = await removeIdleTables();
       
-      if (table.currentPlayers !== humanPlayers) {
-        table.currentPlayers = humanPlayers;
-        await table.save();
+      if (removed > 0) {
+        logger.info(`Removed ${removed} idle private table(s)`);
       }
+    } catch (error) {
+      logger.error('Error removing idle private tables:', error);
     }
-    
-    // Emit updates
-    emitLobbyUpdate({
-      playerCount: playerSet.size,
-      tables: tables.map(t => ({
-        id: t._id,
-        tableId: t.tableId,
-        amount: t.amount,
-        maxPlayers: t.maxPlayers,
-        currentPlayers: t.currentPlayers
-      }))
-    });
-    
-  } catch (error) {
-    logger.error('Error in updateLobbyStats:', error);
-  }
-}
+  }, PRIVATE_TABLE.SWEEP_INTERVAL);
+});
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
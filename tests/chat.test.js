@@ -0,0 +1,38 @@
+const { createMemoryBroker, setBroker } = require('../utils/pubsub');
+const { CHAT, checkRateLimit } = require('../utils/chat');
+
+describe('checkRateLimit', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setBroker(createMemoryBroker());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('allows RATE_LIMIT messages per window, then opens again once the window passes', async () => {
+    for (let i = 0; i < CHAT.RATE_LIMIT; i++) {
+      expect(await checkRateLimit('u1')).toBe(true);
+    }
+
+    expect(await checkRateLimit('u1')).toBe(false);
+    expect(await checkRateLimit('u2')).toBe(true);
+
+    jest.advanceTimersByTime(CHAT.RATE_WINDOW);
+
+    expect(await checkRateLimit('u1')).toBe(true);
+  });
+
+  test('rejected messages do not extend the window', async () => {
+    for (let i = 0; i < CHAT.RATE_LIMIT; i++) {
+      await checkRateLimit('u1');
+    }
+
+    jest.advanceTimersByTime(CHAT.RATE_WINDOW - 1);
+    expect(await checkRateLimit('u1')).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(await checkRateLimit('u1')).toBe(true);
+  });
+});
@@ -0,0 +1,390 @@
+const { createInitialState, applyAction } = require('../utils/engine');
+const { snapshotRules, resolveStockOut } = require('../utils/gameRules');
+
+const card = (id, rank, suit, value) => ({ id, rank, suit, value, isHidden: false });
+
+// A hand in progress: two players with known hands, player a to act
+function makeState() {
+  const seat = (id, hand) => ({
+    id,
+    username: id,
+    isAI: false,
+    hand,
+    spreads: [],
+    isDropped: false,
+    canDrop: false,
+    score: hand.reduce((sum, c) => sum + c.value, 0),
+    penalties: 0,
+    hitCount: 0,
+    hasDrawn: false,
+    turnsTaken: 0,
+    forfeited: false,
+    stakePaid: 1,
+    taken: [],
+    passed: []
+  });
+
+  return {
+    players: [
+      seat('a', [card('a1', 'K', 'hearts', 10), card('a2', 'Q', 'hearts', 10), card('a3', 'J', 'clubs', 10), card('a4', '7', 'spades', 7), card('a5', '6', 'spades', 6)]),
+      seat('b', [card('b1', 'K', 'spades', 10), card('b2', 'Q', 'spades', 10), card('b3', 'J', 'spades', 10), card('b4', '7', 'hearts', 7), card('b5', '6', 'hearts', 6)])
+    ],
+    currentPlayerIndex: 0,
+    deck: [card('d1', '2', 'clubs', 2), card('d2', '3', 'clubs', 3), card('d3', '4', 'clubs', 4)],
+    discardPile: [card('p1', '5', 'diamonds', 5)],
+    status: 'playing',
+    stake: 1,
+    pot: 2,
+    rules: snapshotRules(),
+    reshuffles: 0
+  };
+}
+
+// Give player a a new hand, with the deck's top card to draw next
+function withHand(state, hand, nextCard) {
+  state.players[0].hand = hand;
+  state.players[0].score = hand.reduce((sum, c) => sum + c.value, 0);
+
+  if (nextCard) state.deck.push(nextCard);
+
+  return state;
+}
+
+// Lay a spread on the table in front of player b
+function giveSpread(state, type, cards) {
+  const spread = { id: `b-spread-${state.players[1].spreads.length + 1}`, type, cards };
+  state.players[1].spreads.push(spread);
+  return spread;
+}
+
+// Player a holds exactly 41, player b holds 43
+function makeFortyOneState() {
+  const state = makeState();
+  state.players[0].hand[3] = card('a4', '7', 'spades', 7);
+  state.players[0].hand[4] = card('a5', '4', 'spades', 4);
+  return state;
+}
+
+describe('applyAction turn order', () => {
+  test('a turn is one draw then one discard', () => {
+    let { state } = applyAction(makeState(), { type: 'draw', playerId: 'a', source: 'deck' });
+    expect(state.players[0].hand).toHaveLength(6);
+    expect(state.players[0].hasDrawn).toBe(true);
+
+    ({ state } = applyAction(state, { type: 'discard', playerId: 'a', cardId: 'a1' }));
+    expect(state.players[0].hand).toHaveLength(5);
+    expect(state.players[0].hasDrawn).toBe(false);
+    expect(state.currentPlayerIndex).toBe(1);
+  });
+
+  test('rejects a second draw in the same turn', () => {
+    const { state } = applyAction(makeState(), { type: 'draw', playerId: 'a', source: 'deck' });
+
+    expect(() => applyAction(state, { type: 'draw', playerId: 'a', source: 'deck' })).toThrow('Already drew this turn');
+    expect(() => applyAction(state, { type: 'draw', playerId: 'a', source: 'discard' })).toThrow('Already drew this turn');
+  });
+
+  test('rejects a discard before drawing', () => {
+    expect(() => applyAction(makeState(), { type: 'discard', playerId: 'a', cardId: 'a1' })).toThrow('Must draw before discarding');
+  });
+
+  test('rejects moves out of turn', () => {
+    expect(() => applyAction(makeState(), { type: 'draw', playerId: 'b', source: 'deck' })).toThrow('Not your turn');
+  });
+
+  test('never modifies the state it is given', () => {
+    const state = makeState();
+    const before = JSON.stringify(state);
+
+    applyAction(state, { type: 'draw', playerId: 'a', source: 'discard' });
+
+    expect(JSON.stringify(state)).toBe(before);
+  });
+});
+
+describe('first-turn drops', () => {
+  test('dropping exactly 41 before the first discard pays the first-turn multiplier', () => {
+    const { state } = applyAction(makeFortyOneState(), { type: 'drop', playerId: 'a' });
+
+    expect(state.winner).toBe('a');
+    expect(state.winningMultiplier).toBe(3);
+  });
+
+  test('dropping 41 after a full turn pays the regular amount', () => {
+    let state = makeFortyOneState();
+    const play = action => ({ state } = applyAction(state, action));
+
+    // Each player throws back the card they drew
+    ['a', 'b'].forEach((playerId, i) => {
+      play({ type: 'draw', playerId, source: 'deck' });
+      play({ type: 'discard', playerId, cardId: state.players[i].hand[5].id });
+    });
+
+    expect(state.players[0].turnsTaken).toBe(1);
+
+    play({ type: 'drop', playerId: 'a' });
+
+    expect(state.winner).toBe('a');
+    expect(state.winningMultiplier).toBe(1);
+  });
+
+  test('hands dealt without a turn count never get the first-turn multiplier', () => {
+    const state = makeFortyOneState();
+    delete state.players[0].turnsTaken;
+
+    expect(applyAction(state, { type: 'drop', playerId: 'a' }).state.winningMultiplier).toBe(1);
+  });
+});
+
+describe('forfeited seats', () => {
+  // Player b holds 35, under player a's 41
+  function makeLowerOpponentState() {
+    const state = makeFortyOneState();
+    state.players[1].hand[0] = card('b1', '2', 'spades', 2);
+    return state;
+  }
+
+  test('a lower hand catches a drop', () => {
+    const { state } = applyAction(makeLowerOpponentState(), { type: 'drop', playerId: 'a' });
+
+    expect(state.winner).toBe('b');
+    expect(state.showdown.caught).toBe(true);
+  });
+
+  test.each(['left', 'forfeited'])('a seat that %s cannot catch a drop', flag => {
+    const start = makeLowerOpponentState();
+    start.players[1][flag] = true;
+
+    const { state } = applyAction(start, { type: 'drop', playerId: 'a' });
+
+    expect(state.winner).toBe('a');
+    expect(state.showdown.caught).toBe(false);
+  });
+
+  test('a forfeited seat cannot drop', () => {
+    const state = makeFortyOneState();
+    state.players[0].forfeited = true;
+
+    expect(() => applyAction(state, { type: 'drop', playerId: 'a' })).toThrow('Forfeited seats cannot drop');
+  });
+
+  test('a stock-out is won by the lowest seat that can win', () => {
+    const players = makeLowerOpponentState().players;
+
+    expect(resolveStockOut(players).winnerIds).toEqual(['b']);
+
+    players[1].left = true;
+    expect(resolveStockOut(players).winnerIds).toEqual(['a']);
+  });
+});
+
+describe('spreads and hits', () => {
+  test('a spread moves its cards from the hand onto the table', () => {
+    let state = withHand(makeState(), [card('a1', 'K', 'hearts', 10), card('a2', 'K', 'diamonds', 10), card('a3', 'K', 'clubs', 10), card('a4', '7', 'spades', 7), card('a5', '6', 'spades', 6)]);
+
+    ({ state } = applyAction(state, { type: 'draw', playerId: 'a', source: 'deck' }));
+    const { state: next, events } = applyAction(state, { type: 'spread', playerId: 'a', cardIds: ['a1', 'a2', 'a3'] });
+    const player = next.players[0];
+
+    expect(player.spreads).toEqual([{ id: 'a-spread-1', type: 'set', cards: state.players[0].hand.slice(0, 3) }]);
+    expect(player.hand.map(c => c.id)).toEqual(['a4', 'a5', 'd3']);
+    expect(player.score).toBe(17);
+    expect(next.status).toBe('playing');
+    expect(events.map(e => e.type)).toEqual(['spread']);
+  });
+
+  test('rejects cards that do not form a spread', () => {
+    const { state } = applyAction(makeState(), { type: 'draw', playerId: 'a', source: 'deck' });
+
+    expect(() => applyAction(state, { type: 'spread', playerId: 'a', cardIds: ['a1', 'a2', 'a3'] })).toThrow('Invalid spread combination');
+  });
+
+  test("hitting another player's spread blocks its owner from dropping, longer for each hit", () => {
+    let state = withHand(makeState(), [card('a1', '4', 'spades', 4), card('a2', '3', 'spades', 3), card('a3', 'J', 'clubs', 10)]);
+    giveSpread(state, 'run', [card('s1', '5', 'spades', 5), card('s2', '6', 'spades', 6), card('s3', '7', 'spades', 7)]);
+    const play = action => ({ state } = applyAction(state, action));
+
+    play({ type: 'draw', playerId: 'a', source: 'deck' });
+    play({ type: 'hit', playerId: 'a', cardId: 'a1', spreadId: 'b-spread-1' });
+
+    expect(state.players[1]).toMatchObject({ penalties: 2, hitCount: 1, canDrop: false });
+    expect(state.lastAction.penalties).toEqual([{ playerId: 'b', penaltyTurns: 2, hitSpread: { id: 'b-spread-1', type: 'run' } }]);
+    expect(state.players[1].spreads[0].cards.map(c => c.rank)).toEqual(['4', '5', '6', '7']);
+
+    play({ type: 'hit', playerId: 'a', cardId: 'a2', spreadId: 'b-spread-1' });
+
+    expect(state.players[1]).toMatchObject({ penalties: 3, hitCount: 2 });
+
+    // Each discard counts a penalty turn down
+    play({ type: 'discard', playerId: 'a', cardId: 'a3' });
+
+    expect(state.players[1].penalties).toBe(2);
+    expect(() => applyAction(state, { type: 'drop', playerId: 'b' })).toThrow('Cannot drop for 2 more turns due to penalties');
+  });
+
+  test('hitting your own spread carries no penalty', () => {
+    let state = withHand(makeState(), [card('a1', 'K', 'hearts', 10), card('a2', 'K', 'diamonds', 10), card('a3', 'K', 'clubs', 10), card('a4', 'K', 'spades', 10), card('a5', '6', 'spades', 6)]);
+    const play = action => ({ state } = applyAction(state, action));
+
+    play({ type: 'draw', playerId: 'a', source: 'deck' });
+    play({ type: 'spread', playerId: 'a', cardIds: ['a1', 'a2', 'a3'] });
+    play({ type: 'hit', playerId: 'a', cardId: 'a4', spreadId: 'a-spread-1' });
+
+    expect(state.lastAction.penalties).toEqual([]);
+    expect(state.players[0]).toMatchObject({ penalties: 0, hitCount: 0 });
+  });
+
+  test('rejects a card that does not extend the spread', () => {
+    let state = withHand(makeState(), [card('a1', '2', 'spades', 2)]);
+    giveSpread(state, 'run', [card('s1', '5', 'spades', 5), card('s2', '6', 'spades', 6), card('s3', '7', 'spades', 7)]);
+
+    ({ state } = applyAction(state, { type: 'draw', playerId: 'a', source: 'deck' }));
+
+    expect(() => applyAction(state, { type: 'hit', playerId: 'a', cardId: 'a1', spreadId: 'b-spread-1' })).toThrow('Card does not hit that spread');
+  });
+});
+
+describe('instant wins', () => {
+  test('laying a second spread before anyone drops is Reem', () => {
+    let state = withHand(makeState(), [
+      card('a1', '2', 'clubs', 2), card('a2', '2', 'diamonds', 2), card('a3', '2', 'hearts', 2),
+      card('a4', '3', 'spades', 3), card('a5', '3', 'hearts', 3), card('a6', 'K', 'hearts', 10)
+    ], card('d4', '3', 'diamonds', 3));
+    const play = action => ({ state } = applyAction(state, action));
+
+    play({ type: 'draw', playerId: 'a', source: 'deck' });
+    play({ type: 'spread', playerId: 'a', cardIds: ['a1', 'a2', 'a3'] });
+
+    expect(state.status).toBe('playing');
+
+    play({ type: 'spread', playerId: 'a', cardIds: ['a4', 'a5', 'd4'] });
+
+    expect(state).toMatchObject({ status: 'ended', winners: ['a'], winType: 'reem', winningMultiplier: 2 });
+  });
+
+  test('spreading the last cards in hand goes out', () => {
+    let state = withHand(makeState(), [card('a1', 'K', 'hearts', 10), card('a2', 'K', 'diamonds', 10)], card('d4', 'K', 'clubs', 10));
+    const play = action => ({ state } = applyAction(state, action));
+
+    play({ type: 'draw', playerId: 'a', source: 'deck' });
+    play({ type: 'spread', playerId: 'a', cardIds: ['a1', 'a2', 'd4'] });
+
+    expect(state).toMatchObject({ status: 'ended', winners: ['a'], winType: 'out', winningMultiplier: 1 });
+  });
+
+  test('hitting with the last card in hand goes out, and the spread owner still takes the penalty', () => {
+    let state = withHand(makeState(), [card('a1', 'Q', 'hearts', 10)], card('d4', 'K', 'hearts', 10));
+    giveSpread(state, 'set', [card('s1', 'Q', 'spades', 10), card('s2', 'Q', 'clubs', 10), card('s3', 'Q', 'diamonds', 10)]);
+    giveSpread(state, 'set', [card('s4', 'K', 'spades', 10), card('s5', 'K', 'clubs', 10), card('s6', 'K', 'diamonds', 10)]);
+    const play = action => ({ state } = applyAction(state, action));
+
+    play({ type: 'draw', playerId: 'a', source: 'deck' });
+    play({ type: 'hit', playerId: 'a', cardId: 'd4', spreadId: 'b-spread-2' });
+
+    expect(state.status).toBe('playing');
+
+    play({ type: 'hit', playerId: 'a', cardId: 'a1', spreadId: 'b-spread-1' });
+
+    expect(state).toMatchObject({ status: 'ended', winners: ['a'], winType: 'out', winningMultiplier: 1 });
+    expect(state.lastAction.penalties).toEqual([{ playerId: 'b', penaltyTurns: 3, hitSpread: { id: 'b-spread-1', type: 'set' } }]);
+  });
+
+  test('a hand dealt at 49 or 50 is Tonk and wins before anyone plays', () => {
+    // Only picture cards, so every hand totals 50
+    const state = createInitialState({
+      players: [{ id: 'a', stakePaid: 1 }, { id: 'b', stakePaid: 1 }],
+      stake: 1,
+      rules: { ranks: ['J', 'Q', 'K'] },
+      firstPlayerIndex: 1
+    });
+
+    expect(state).toMatchObject({ status: 'ended', winners: ['b'], winType: 'tonk', winningMultiplier: 3 });
+  });
+});
+
+describe('drops', () => {
+  // Player b holds 43
+  const drop = hand => applyAction(withHand(makeState(), hand), { type: 'drop', playerId: 'a' }).state;
+
+  test('dropping at 11 or under pays the low-drop multiplier', () => {
+    const state = drop([card('a1', 'A', 'spades', 1), card('a2', '4', 'spades', 4), card('a3', '6', 'clubs', 6)]);
+
+    expect(state).toMatchObject({ winners: ['a'], winType: 'drop', winningMultiplier: 3 });
+    expect(state.showdown).toMatchObject({ droppedBy: 'a', caught: false });
+  });
+
+  test('dropping at exactly 50 pays the max-drop multiplier', () => {
+    const start = makeState();
+    start.players[1].hand.push(card('b6', 'K', 'diamonds', 10));
+
+    const fifty = [card('a1', 'K', 'spades', 10), card('a2', 'Q', 'clubs', 10), card('a3', 'J', 'clubs', 10), card('a4', 'K', 'clubs', 10), card('a5', 'Q', 'diamonds', 10)];
+    const { state } = applyAction(withHand(start, fifty), { type: 'drop', playerId: 'a' });
+
+    expect(state).toMatchObject({ winners: ['a'], winningMultiplier: 2 });
+    expect(state.showdown.caught).toBe(false);
+  });
+
+  test('a hand tied with the drop catches it', () => {
+    const { state } = applyAction(makeState(), { type: 'drop', playerId: 'a' });
+
+    expect(state.winners).toEqual(['b']);
+    expect(state.showdown.caught).toBe(true);
+  });
+
+  test('a caught dropper loses to the lowest hand and is marked for the penalty', () => {
+    const state = drop([card('a1', 'K', 'spades', 10), card('a2', 'Q', 'clubs', 10), card('a3', 'J', 'clubs', 10), card('a4', '7', 'diamonds', 7), card('a5', '7', 'clubs', 7)]);
+
+    expect(state).toMatchObject({ status: 'ended', winners: ['b'], winType: 'drop', winningMultiplier: 1 });
+    expect(state.showdown).toMatchObject({ droppedBy: 'a', caught: true, penalty: 0 });
+    expect(state.lastAction.type).toBe('caught');
+    expect(state.showdown.scores).toEqual([
+      expect.objectContaining({ playerId: 'a', score: 44 }),
+      expect.objectContaining({ playerId: 'b', score: 43 })
+    ]);
+  });
+
+  test('rejects a drop over the threshold', () => {
+    const state = withHand(makeState(), [card('a1', 'K', 'spades', 10), card('a2', 'Q', 'clubs', 10), card('a3', 'J', 'clubs', 10), card('a4', 'K', 'diamonds', 10), card('a5', 'Q', 'diamonds', 10), card('a6', 'A', 'clubs', 1)]);
+
+    expect(() => applyAction(state, { type: 'drop', playerId: 'a' })).toThrow('Cannot drop with score 51');
+  });
+});
+
+describe('stock-out', () => {
+  // Nothing left to draw and nothing to reshuffle
+  function makeStockOutState() {
+    const state = makeState();
+    state.deck = [];
+    return state;
+  }
+
+  test('drawing from a spent deck ends the hand and the lowest hand wins', () => {
+    const start = makeStockOutState();
+    start.players[1].hand[0] = card('b1', '2', 'spades', 2);
+
+    const { state, events } = applyAction(start, { type: 'draw', playerId: 'a', source: 'deck' });
+
+    expect(state).toMatchObject({ status: 'ended', winners: ['b'], winType: 'stockout', winningMultiplier: 1 });
+    expect(state.players.map(p => p.score)).toEqual([43, 35]);
+    expect(state.players[0].hand).toHaveLength(5);
+    expect(events.map(e => e.type)).toEqual(['gameEnd']);
+  });
+
+  test('hands tied for lowest split the pot', () => {
+    const { state } = applyAction(makeStockOutState(), { type: 'draw', playerId: 'a', source: 'deck' });
+
+    expect(state.winners).toEqual(['a', 'b']);
+  });
+
+  test('reshuffles the discard pile before running out', () => {
+    const start = makeStockOutState();
+    start.discardPile.push(card('p2', '2', 'clubs', 2), card('p3', '3', 'clubs', 3));
+
+    const { state, events } = applyAction(start, { type: 'draw', playerId: 'a', source: 'deck' }, () => 0);
+
+    expect(state.status).toBe('playing');
+    expect(state.reshuffles).toBe(1);
+    expect(state.discardPile.map(c => c.id)).toEqual(['p1']);
+    expect(events.map(e => e.type)).toEqual(['reshuffle', 'draw']);
+  });
+});
@@ -0,0 +1,20 @@
+const { hashSeed, createSeededRng, deriveHandSeed, deriveDeckOrder } = require('../utils/fairness');
+const { createDeck } = require('../utils/cards');
+
+describe('fairness', () => {
+  test('a deck re-derived from the seeds matches the dealt deck', () => {
+    const dealt = createDeck(undefined, createSeededRng('server', 'client'));
+    expect(deriveDeckOrder('server', 'client')).toEqual(dealt);
+    expect(deriveDeckOrder('server', 'other')).not.toEqual(dealt);
+  });
+
+  test("match hands get their own seeds, derived from the match's committed seed", () => {
+    const seeds = [1, 2, 3].map(hand => deriveHandSeed('match-seed', hand));
+
+    expect(new Set(seeds).size).toBe(3);
+    expect(deriveHandSeed('match-seed', 2)).toBe(seeds[1]);
+    expect(deriveHandSeed('other-seed', 2)).not.toBe(seeds[1]);
+    expect(seeds).not.toContain('match-seed');
+    expect(seeds.map(hashSeed)).not.toContain(hashSeed('match-seed'));
+  });
+});
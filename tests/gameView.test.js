@@ -0,0 +1,123 @@
+const { createInitialState } = require('../utils/engine');
+const { createSeededRng } = require('../utils/fairness');
+const { sanitizeGameForPlayer, findLeakedCards } = require('../utils/gameView');
+
+// A fresh deal: one human, two AI seats
+function deal() {
+  return createInitialState(
+    { players: [{ id: 'u1', username: 'one' }, { id: 'ai-1', isAI: true }, { id: 'ai-2', isAI: true }], stake: 1 },
+    createSeededRng('server-seed', 'client-seed')
+  );
+}
+
+describe('sanitizeGameForPlayer', () => {
+  test('a player sees their own hand and total', () => {
+    const state = deal();
+    const view = sanitizeGameForPlayer(state, 'u1');
+    const own = view.players.find(p => p.id === 'u1');
+
+    expect(own.hand).toEqual(state.players[0].hand);
+    expect(own.score).toBe(state.players[0].score);
+    expect(own).toHaveProperty('canDrop');
+  });
+
+  test("opponents' cards, totals and drop flags are hidden while the hand runs", () => {
+    const view = sanitizeGameForPlayer(deal(), 'u1');
+
+    view.players.filter(p => p.id !== 'u1').forEach(player => {
+      expect(player.hand).toHaveLength(5);
+      expect(player.hand.every(c => c.isHidden && c.rank === '?' && c.value === 0)).toBe(true);
+      expect(player).not.toHaveProperty('score');
+      expect(player).not.toHaveProperty('canDrop');
+    });
+  });
+
+  test("hidden cards' ids can't be mapped back to cards", () => {
+    const state = deal();
+    const realIds = new Set([...state.deck, ...state.discardPile, ...state.players.flatMap(p => p.hand)].map(c => c.id));
+    const view = sanitizeGameForPlayer(state, 'u1');
+    const hidden = view.players.filter(p => p.id !== 'u1').flatMap(p => p.hand);
+
+    expect(hidden.some(c => realIds.has(c.id))).toBe(false);
+    expect(new Set(hidden.map(c => c.id)).size).toBe(hidden.length);
+
+    // The same seat shows the same stand-ins whatever cards it holds
+    const redealt = createInitialState(
+      { players: [{ id: 'u1' }, { id: 'ai-1', isAI: true }, { id: 'ai-2', isAI: true }], stake: 1 },
+      createSeededRng('other-seed', 'client-seed')
+    );
+    const other = sanitizeGameForPlayer(redealt, 'u1').players.filter(p => p.id !== 'u1').flatMap(p => p.hand);
+    expect(other.map(c => c.id)).toEqual(hidden.map(c => c.id));
+  });
+
+  test('a spectator view hides every seat', () => {
+    const view = sanitizeGameForPlayer(deal(), null);
+
+    view.players.forEach(player => {
+      expect(player.hand.every(c => c.isHidden)).toBe(true);
+      expect(player).not.toHaveProperty('score');
+    });
+  });
+
+  test('the deck is replaced by its count', () => {
+    const state = deal();
+    const view = sanitizeGameForPlayer(state, 'u1');
+
+    expect(view).not.toHaveProperty('deck');
+    expect(view.deckCount).toBe(state.deck.length);
+  });
+
+  test('every hand is shown once the hand has ended', () => {
+    const state = { ...deal(), status: 'ended' };
+    const view = sanitizeGameForPlayer(state, null);
+
+    view.players.forEach((player, i) => {
+      expect(player.hand).toEqual(state.players[i].hand);
+      expect(player.score).toBe(state.players[i].score);
+    });
+  });
+
+  test('sanitized views pass the leak guard', () => {
+    const state = deal();
+
+    expect(findLeakedCards(sanitizeGameForPlayer(state, 'u1'), 'u1')).toEqual([]);
+    expect(findLeakedCards(sanitizeGameForPlayer(state, null), null)).toEqual([]);
+  });
+});
+
+describe('findLeakedCards', () => {
+  test('flags the deck', () => {
+    const { deck } = deal();
+    expect(findLeakedCards({ game: { deck } }, 'u1')).toEqual(['payload.game.deck']);
+  });
+
+  test("flags opponents' face-up cards, totals and drop flags", () => {
+    const leaks = findLeakedCards({ game: { ...sanitizeGameForPlayer(deal(), 'u1'), players: deal().players } }, 'u1');
+
+    expect(leaks).toEqual(expect.arrayContaining([
+      'payload.game.players[1].hand',
+      'payload.game.players[1].score',
+      'payload.game.players[1].canDrop',
+      'payload.game.players[2].hand'
+    ]));
+    expect(leaks.some(leak => leak.startsWith('payload.game.players[0]'))).toBe(false);
+  });
+
+  test('flags hidden cards that keep their real ids', () => {
+    const state = deal();
+    const view = sanitizeGameForPlayer(state, 'u1');
+    view.players[1].hand = state.players[1].hand.map(c => ({ ...c, suit: '?', rank: '?', value: 0, isHidden: true }));
+
+    expect(findLeakedCards(view, 'u1')).toEqual(['payload.players[1].hand']);
+  });
+
+  test('a view built for one player leaks to another', () => {
+    const view = sanitizeGameForPlayer(deal(), 'u1');
+    expect(findLeakedCards(view, 'ai-1')).toContain('payload.players[0].hand');
+  });
+
+  test('nothing is hidden in an ended game', () => {
+    const { deck, ...state } = deal();
+    expect(findLeakedCards({ ...state, status: 'ended' }, null)).toEqual([]);
+  });
+});
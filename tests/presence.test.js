@@ -0,0 +1,43 @@
+const { createMemoryBroker, setBroker, getBroker } = require('../utils/pubsub');
+const { markOnline, markOffline, isOnline, refreshPresence, isGraceExpired, PRESENCE } = require('../utils/presence');
+
+describe('presence', () => {
+  beforeEach(() => {
+    setBroker(createMemoryBroker());
+  });
+
+  test('a user is only offline once every socket has closed, whichever process it was on', async () => {
+    expect(await markOnline('u1', 'node-a-socket')).toBe(true);
+    expect(await markOnline('u1', 'node-b-socket')).toBe(false);
+
+    expect(await markOffline('u1', 'node-a-socket')).toBe(false);
+    expect(await markOffline('u1', 'node-b-socket')).toBe(true);
+  });
+
+  test('sockets of a process that stops renewing them drop out after the TTL', async () => {
+    jest.useFakeTimers();
+
+    try {
+      await markOnline('u1', 'live-socket');
+      // Another process registered u2, then died without closing or renewing the socket
+      await getBroker().addMember('presence:u2', 'dead-node-socket', PRESENCE.TTL);
+
+      jest.advanceTimersByTime(PRESENCE.HEARTBEAT);
+      await refreshPresence();
+      jest.advanceTimersByTime(PRESENCE.TTL - PRESENCE.HEARTBEAT + 1);
+
+      expect(await isOnline('u1')).toBe(true);
+      expect(await isOnline('u2')).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('the grace period runs from when the player went away', () => {
+    const awaySince = new Date(0);
+
+    expect(isGraceExpired(awaySince, PRESENCE.GRACE_PERIOD * 1000 - 1)).toBe(false);
+    expect(isGraceExpired(awaySince, PRESENCE.GRACE_PERIOD * 1000)).toBe(true);
+    expect(isGraceExpired(null)).toBe(false);
+  });
+});
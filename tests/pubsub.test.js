@@ -0,0 +1,81 @@
+const { createMemoryBroker } = require('../utils/pubsub');
+
+describe('memory broker', () => {
+  let broker;
+
+  beforeEach(() => {
+    broker = createMemoryBroker();
+  });
+
+  afterEach(() => broker.close());
+
+  test('delivers a copy of each message to subscribers until they unsubscribe', async () => {
+    const received = [];
+    const message = { room: 'lobby', payload: { count: 1 } };
+    const unsubscribe = broker.subscribe('channel', m => received.push(m));
+
+    await broker.publish('channel', message);
+    await broker.publish('other', message);
+    unsubscribe();
+    await broker.publish('channel', message);
+
+    expect(received).toEqual([message]);
+    expect(received[0]).not.toBe(message);
+  });
+
+  test('a lock is held by one owner at a time', async () => {
+    const token = await broker.lock('game:1', 1000);
+
+    expect(token).toBeTruthy();
+    expect(await broker.lock('game:1', 1000)).toBeNull();
+    expect(await broker.lock('game:2', 1000)).toBeTruthy();
+
+    await broker.unlock('game:1', 'not-the-owner');
+    expect(await broker.lock('game:1', 1000)).toBeNull();
+
+    await broker.unlock('game:1', token);
+    expect(await broker.lock('game:1', 1000)).toBeTruthy();
+  });
+
+  test('a lock expires after its ttl', async () => {
+    await broker.lock('game:1', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await broker.lock('game:1', 1000)).toBeTruthy();
+  });
+
+  test('sets report their size after each change', async () => {
+    expect(await broker.addMember('presence:u1', 's1', 1000)).toBe(1);
+    expect(await broker.addMember('presence:u1', 's2', 1000)).toBe(2);
+    expect(await broker.addMember('presence:u1', 's2', 1000)).toBe(2);
+    expect(await broker.removeMember('presence:u1', 's1')).toBe(1);
+    expect(await broker.countMembers('presence:u1')).toBe(1);
+    expect(await broker.removeMember('presence:u1', 's2')).toBe(0);
+    expect(await broker.removeMember('presence:u2', 's3')).toBe(0);
+  });
+
+  test('set members expire unless they are added again', async () => {
+    await broker.addMember('presence:u1', 'renewed', 1);
+    await broker.addMember('presence:u1', 'stale', 1);
+    await broker.addMember('presence:u1', 'renewed', 1000);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await broker.countMembers('presence:u1')).toBe(1);
+    expect(await broker.removeMember('presence:u1', 'renewed')).toBe(0);
+  });
+
+  test('expired sets are dropped even if nobody reads them again', async () => {
+    jest.useFakeTimers();
+
+    try {
+      await broker.addMember('chat:recent:u1', 'm1', 1000);
+      expect(jest.getTimerCount()).toBe(1);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(jest.getTimerCount()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
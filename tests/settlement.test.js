@@ -0,0 +1,133 @@
+const { calculateRake, settlePot } = require('../utils/settlement');
+
+const human = (id, stakePaid = 5) => ({ id, stakePaid });
+const ai = id => ({ id, stakePaid: 0 });
+
+// Every cent collected is paid out, raked or kept by the house
+function expectZeroSum(settlement) {
+  const net = settlement.entries.reduce((sum, e) => sum + Math.round(e.net * 100), 0);
+  expect(net + Math.round(settlement.rake * 100) + Math.round(settlement.house * 100)).toBe(0);
+}
+
+describe('settlePot', () => {
+  test('balances to zero with bonuses, a penalty and rake', () => {
+    const settlement = settlePot({
+      players: [human('h1'), human('h2'), human('h3'), ai('ai-1')],
+      winnerIds: ['h2'],
+      stake: 5,
+      multiplier: 3,
+      penalty: { playerId: 'h1', amount: 10 },
+      balances: { h1: 100, h2: 100, h3: 100 },
+      rake: { percent: 5, cap: 1 }
+    });
+
+    expect(settlement.pot).toBe(15);
+    expect(settlement.bonuses).toBe(20);
+    expect(settlement.penalty).toBe(10);
+    expect(settlement.rake).toBe(0.75);
+    expect(settlement.entries.find(e => e.playerId === 'h2').payout).toBe(44.25);
+    expectZeroSum(settlement);
+  });
+
+  test('caps bonus and penalty charges at what a short stack can pay', () => {
+    const settlement = settlePot({
+      players: [human('h1'), human('h2')],
+      winnerIds: ['h2'],
+      stake: 5,
+      multiplier: 3,
+      penalty: { playerId: 'h1', amount: 10 },
+      balances: { h1: 7.5, h2: 100 }
+    });
+
+    const loser = settlement.entries.find(e => e.playerId === 'h1');
+
+    expect(loser.charged).toBe(7.5);
+    expect(settlement.bonuses).toBe(7.5);
+    expect(settlement.penalty).toBe(0);
+    expect(loser.net).toBe(-12.5);
+    expectZeroSum(settlement);
+  });
+
+  test('never charges players who left beyond their stake', () => {
+    const settlement = settlePot({
+      players: [human('h1'), { ...human('h2'), left: true, forfeited: true }, human('h3')],
+      winnerIds: ['h1'],
+      stake: 5,
+      multiplier: 2,
+      balances: { h1: 100, h2: 100, h3: 100 }
+    });
+
+    expect(settlement.entries.find(e => e.playerId === 'h2').net).toBe(-5);
+    expect(settlement.entries.find(e => e.playerId === 'h3').net).toBe(-10);
+    expectZeroSum(settlement);
+  });
+
+  test('rounds rake down to the cent and respects the cap', () => {
+    expect(calculateRake(303, 5)).toBe(15);
+    expect(calculateRake(303, 5, 0.1)).toBe(10);
+    expect(calculateRake(303, 0)).toBe(0);
+
+    const settlement = settlePot({
+      players: [human('h1', 1.01), human('h2', 1.01), human('h3', 1.01)],
+      winnerIds: ['h1', 'h2'],
+      stake: 1.01,
+      rake: { percent: 5 }
+    });
+
+    // 3.03 pot less 0.15 rake leaves 2.88 - split evenly
+    expect(settlement.rake).toBe(0.15);
+    expect(settlement.entries.map(e => e.payout)).toEqual([1.44, 1.44, 0]);
+    expect(settlement.house).toBe(0);
+    expectZeroSum(settlement);
+  });
+
+  test('gives the cent left over from an uneven split to the house', () => {
+    const settlement = settlePot({
+      players: [human('h1', 1), human('h2', 1), human('h3', 0.01)],
+      winnerIds: ['h1', 'h2', 'h3'],
+      stake: 1
+    });
+
+    expect(settlement.entries.map(e => e.payout)).toEqual([0.67, 0.67, 0.67]);
+    expect(settlement.house).toBe(0);
+
+    const uneven = settlePot({
+      players: [human('h1', 1), human('h2', 1), human('h3', 0.02)],
+      winnerIds: ['h1', 'h2', 'h3'],
+      stake: 1
+    });
+
+    expect(uneven.entries.map(e => e.payout)).toEqual([0.67, 0.67, 0.67]);
+    expect(uneven.house).toBe(0.01);
+    expectZeroSum(uneven);
+  });
+
+  test('pays a caught dropper\'s penalty to the human winner', () => {
+    const settlement = settlePot({
+      players: [human('h1'), human('h2'), ai('ai-1')],
+      winnerIds: ['h2'],
+      stake: 5,
+      penalty: { playerId: 'h1', amount: 10 },
+      balances: { h1: 100, h2: 100 }
+    });
+
+    expect(settlement.entries.find(e => e.playerId === 'h1')).toMatchObject({ charged: 10, net: -15 });
+    expect(settlement.entries.find(e => e.playerId === 'h2')).toMatchObject({ payout: 20, net: 15 });
+    expect(settlement.house).toBe(0);
+    expectZeroSum(settlement);
+  });
+
+  test('sends a caught dropper\'s penalty to the house when an AI wins', () => {
+    const settlement = settlePot({
+      players: [human('h1'), ai('ai-1')],
+      winnerIds: ['ai-1'],
+      stake: 5,
+      penalty: { playerId: 'h1', amount: 10 },
+      balances: { h1: 100 }
+    });
+
+    expect(settlement.penalty).toBe(10);
+    expect(settlement.house).toBe(15);
+    expectZeroSum(settlement);
+  });
+});
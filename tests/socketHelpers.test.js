@@ -0,0 +1,151 @@
+const { createInitialState } = require('../utils/engine');
+const { createSeededRng } = require('../utils/fairness');
+const { createMemoryBroker, setBroker } = require('../utils/pubsub');
+const { findLeakedCards } = require('../utils/gameView');
+const {
+  SPECTATOR_DELAY,
+  initializeSocket,
+  getPlayerRoom,
+  getSpectatorRoom,
+  getSpectatorCount,
+  addSpectator,
+  removeSpectator,
+  getNonPlayerView,
+  emitGameUpdate,
+  emitGameSnapshot
+} = require('../utils/socketHelpers');
+
+const GAME_ID = 'game1';
+
+// Records every emit by room
+function createFakeIO() {
+  const sent = [];
+
+  return {
+    sent,
+    to: room => ({ emit: (event, payload) => sent.push({ room, event, payload }) }),
+    sockets: { adapter: { rooms: new Map() } }
+  };
+}
+
+const createFakeSocket = id => ({ id, join() {}, leave() {} });
+
+function deal() {
+  return {
+    _id: GAME_ID,
+    ...createInitialState(
+      { players: [{ id: 'u1' }, { id: 'u2' }, { id: 'ai-1', isAI: true }], stake: 1 },
+      createSeededRng('server-seed', 'client-seed')
+    )
+  };
+}
+
+describe('game update emits', () => {
+  let io;
+
+  // One spectator is watching
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    setBroker(createMemoryBroker());
+    io = createFakeIO();
+    initializeSocket(io);
+    await addSpectator(createFakeSocket('spectator-socket'), GAME_ID);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('each human player gets only their own cards', () => {
+    const game = deal();
+    emitGameUpdate(GAME_ID, game);
+
+    const rooms = io.sent.map(e => e.room);
+    expect(rooms).toEqual([getPlayerRoom(GAME_ID, 'u1'), getPlayerRoom(GAME_ID, 'u2')]);
+
+    ['u1', 'u2'].forEach((playerId, i) => {
+      const { payload } = io.sent[i];
+      const own = payload.game.players.find(p => p.id === playerId);
+
+      expect(own.hand).toEqual(game.players[i].hand);
+      expect(findLeakedCards(payload, playerId)).toEqual([]);
+      expect(payload.game.players.filter(p => p.id !== playerId).every(p => p.score === undefined)).toBe(true);
+    });
+  });
+
+  test('spectators get a fully hidden view after the delay', () => {
+    emitGameUpdate(GAME_ID, deal());
+    expect(io.sent.some(e => e.room === getSpectatorRoom(GAME_ID))).toBe(false);
+
+    jest.advanceTimersByTime(SPECTATOR_DELAY * 1000);
+
+    const spectated = io.sent.filter(e => e.room === getSpectatorRoom(GAME_ID));
+    expect(spectated).toHaveLength(1);
+    expect(spectated[0].payload.spectating).toBe(true);
+    expect(findLeakedCards(spectated[0].payload, null)).toEqual([]);
+  });
+
+  test('a snapshot goes only to the returning player', () => {
+    emitGameSnapshot(GAME_ID, 'u2', deal());
+
+    expect(io.sent).toHaveLength(1);
+    expect(io.sent[0].room).toBe(getPlayerRoom(GAME_ID, 'u2'));
+    expect(io.sent[0].payload.resumed).toBe(true);
+    expect(findLeakedCards(io.sent[0].payload, 'u2')).toEqual([]);
+  });
+});
+
+describe('spectator counts', () => {
+  beforeEach(() => {
+    setBroker(createMemoryBroker());
+    initializeSocket(createFakeIO());
+  });
+
+  test('count spectators on every process through the broker', async () => {
+    const [a, b] = [createFakeSocket('node-a-socket'), createFakeSocket('node-b-socket')];
+
+    expect(await addSpectator(a, GAME_ID)).toBe(1);
+    expect(await addSpectator(b, GAME_ID)).toBe(2);
+    expect(getSpectatorCount(GAME_ID)).toBe(2);
+
+    expect(await removeSpectator(a, GAME_ID)).toBe(1);
+    expect(await removeSpectator(b, GAME_ID)).toBe(0);
+    expect(getSpectatorCount(GAME_ID)).toBe(0);
+  });
+});
+
+describe('getNonPlayerView', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setBroker(createMemoryBroker());
+    initializeSocket(createFakeIO());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('shows nothing of the play until a delayed view exists', () => {
+    const game = { ...deal(), _id: 'unwatched' };
+    const view = getNonPlayerView(game);
+
+    expect(view.pending).toBe(true);
+    expect(view.players.map(p => p.id)).toEqual(['u1', 'u2', 'ai-1']);
+    expect(view.players.every(p => p.hand === undefined)).toBe(true);
+    expect(view).not.toHaveProperty('discardPile');
+    expect(view).not.toHaveProperty('currentPlayerIndex');
+  });
+
+  test('serves the delayed view, not the live game', () => {
+    const game = deal();
+    emitGameUpdate(GAME_ID, game);
+    jest.advanceTimersByTime(SPECTATOR_DELAY * 1000);
+
+    const live = { ...game, discardPile: [] };
+    const view = getNonPlayerView(live);
+
+    expect(view.pending).toBeUndefined();
+    expect(view.discardPile).toEqual(game.discardPile);
+    expect(findLeakedCards(view, null)).toEqual([]);
+  });
+});
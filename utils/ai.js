@@ -1,11 +1,23 @@
-const  { isValidSpread, calculateHandScore, sortCardsByValue } = require('./cards');
-const { wouldHitSpread, findPlayableSpreads, canPlayerDrop } = require('./gameRules');
+const  { isValidSpread, calculateHandScore, sortCardsByValue, createDeck } = require('./cards');
+const { WIN_TYPES, getRules, wouldHitSpread, cardHitsSpread, findPlayableSpreads, canPlayerDrop, isFirstTurn, canWinHand, calculateWinningMultiplier } = require('./gameRules');
+const { getNextActivePlayer } = require('./engine');
 
 // AI difficulty levels
 const AI_DIFFICULTY = {
   EASY: 'easy',
   MEDIUM: 'medium',
-  HARD: 'hard'
+  HARD: 'hard',
+  EXPERT: 'expert'   // Monte Carlo search - see utils/ismcts.js
+};
+
+// Opponent model weights (hard AI)
+const OPPONENT_MODEL = {
+  KNOWN_PARTNER: 0.4,     // Per card we know they hold that the card would set or run with
+  UNKNOWN_PARTNER: 0.5,   // Scales the chance their unknown cards set or run with it
+  PASSED_RANK: 0.5,       // Kept per card of the same rank they passed on
+  PASSED_SUIT: 0.8,       // Kept per card they passed on within two of it in the same suit
+  KEPT_VALUE: 0.6,        // Players keep low cards and throw high ones - their unknown cards run under the unseen average
+  DROP_MARGIN: 4          // Points under the lowest estimated opponent hand before dropping
 };
 
 // AI decision making for drawing a card
@@ -20,7 +32,7 @@ function decideDrawSource(game, aiPlayer, difficulty = AI_DIFFICULTY.MEDIUM) {
   const topDiscard = discardPile[0];
   
   // Analyze the value of taking the discard card
-  const drawValue = analyzeDiscardValue(aiPlayer.hand, topDiscard, game, difficulty);
+  const drawValue = analyzeDiscardValue(aiPlayer, topDiscard, game, difficulty);
   
   // Decision threshold based on difficulty
   const threshold = difficulty === AI_DIFFICULTY.EASY ? 0.3 : 
@@ -30,7 +42,8 @@ function decideDrawSource(game, aiPlayer, difficulty = AI_DIFFICULTY.MEDIUM) {
 }
 
 // Analyze the value of taking a discard card
-function analyzeDiscardValue(hand, card, game, difficulty) {
+function analyzeDiscardValue(aiPlayer, card, game, difficulty) {
+  const { hand } = aiPlayer;
   let value = 0;
   
   // Check if card completes a spread
@@ -45,10 +58,9 @@ function analyzeDiscardValue(hand, card, game, difficulty) {
   if (card.value <= 3) value += 0.3;
   else if (card.value >= 10) value -= 0.2;
   
-  // Avoid cards that might help opponents (advanced AI only)
+  // Passing leaves the card to the next player - taking one they're after keeps it from them (advanced AI only)
   if (difficulty === AI_DIFFICULTY.HARD) {
-    const helpsOpponents = wouldHelpOpponents(card, game);
-    if (helpsOpponents) value -= 0.3;
+    value += 0.3 * chanceNextOpponentWants(card, game, aiPlayer);
   }
   
   return Math.max(0, Math.min(1, value));
@@ -77,14 +89,79 @@ function wouldImproveSpread(hand, card) {
          newSpreads.some(spread => spread.cards.length > 3);
 }
 
-// Check if card would help opponents (advanced strategy)
-function wouldHelpOpponents(card, game) {
-  // This is a simplified check - in a full implementation,
-  // we'd analyze what cards opponents might need
-  return false;
+// Would the two cards set or run together
+function isPartner(card, other) {
+  if (card.id === other.id) return false;
+  if (card.rank === other.rank) return true;
+  
+  return card.suit === other.suit && card.value !== other.value && Math.abs(card.value - other.value) <= 2;
+}
+
+// Opponent model (hard AI) - built only from what the whole table has seen: the discards each
+// opponent took and still holds, the cards they passed on or threw away, and every face-up card.
+// Never reads the deck or opponents' hands beyond how many cards they hold.
+function buildOpponentModel(game, aiPlayer) {
+  const opponents = game.players.filter(p => p.id !== aiPlayer.id);
+  const tableSpreads = game.players.flatMap(p => p.spreads || []);
+  
+  const seen = new Set([
+    ...aiPlayer.hand,
+    ...game.discardPile,
+    ...tableSpreads.flatMap(s => s.cards),
+    ...opponents.flatMap(p => p.taken || [])
+  ].map(c => `${c.rank}-${c.suit}`));
+  
+  // Cards we haven't seen are in the deck or an opponent's hand
+  const unseen = createDeck(getRules(game).ranks).filter(c => !seen.has(`${c.rank}-${c.suit}`));
+  const averageValue = unseen.length ? calculateHandScore(unseen) / unseen.length : 0;
+  
+  return {
+    unseen,
+    tableSpreads,
+    opponents: opponents.filter(p => !p.isDropped).map(p => {
+      const known = p.taken || [];
+      const unknownCount = Math.max(0, p.hand.length - known.length);
+      
+      return {
+        id: p.id,
+        known,
+        unknownCount,
+        passed: p.passed || [],
+        estimatedScore: calculateHandScore(known) + unknownCount * averageValue * OPPONENT_MODEL.KEPT_VALUE
+      };
+    })
+  };
+}
+
+// Chance (0-1) an opponent can use a card: it fits a spread on the table, sets or runs with
+// cards we know they hold, or with cards we haven't seen - less for each card like it they passed on
+function chanceOpponentWants(card, opponent, model) {
+  if (model.tableSpreads.some(spread => cardHitsSpread(card, spread))) return 1;
+  
+  let chance = opponent.known.filter(c => isPartner(card, c)).length * OPPONENT_MODEL.KNOWN_PARTNER;
+  
+  // Chance at least one of their unknown cards is a partner still in play
+  const partnerShare = model.unseen.filter(c => isPartner(card, c)).length / Math.max(1, model.unseen.length);
+  chance += (1 - Math.pow(1 - partnerShare, opponent.unknownCount)) * OPPONENT_MODEL.UNKNOWN_PARTNER;
+  
+  opponent.passed.forEach(c => {
+    if (c.rank === card.rank) chance *= OPPONENT_MODEL.PASSED_RANK;
+    else if (isPartner(card, c)) chance *= OPPONENT_MODEL.PASSED_SUIT;
+  });
+  
+  return Math.min(1, chance);
 }
 
-// AI decision making for discarding a card
+// Only the next player can take a discard before it's covered
+function chanceNextOpponentWants(card, game, aiPlayer, model = buildOpponentModel(game, aiPlayer)) {
+  const index = game.players.findIndex(p => p.id === aiPlayer.id);
+  const nextId = game.players[getNextActivePlayer(game, index)].id;
+  const next = model.opponents.find(o => o.id === nextId);
+  
+  return next ? chanceOpponentWants(card, next, model) : 0;
+}
+
+// AI decision making for discarding a card - made on the AI's own turn
 function decideCardToDiscard(hand, game, difficulty = AI_DIFFICULTY.MEDIUM) {
   if (hand.length === 0) return null;
   if (hand.length === 1) return hand[0].id;
@@ -99,6 +176,9 @@ function decideCardToDiscard(hand, game, difficulty = AI_DIFFICULTY.MEDIUM) {
 
 // Analyze which cards are good candidates for discarding
 function analyzeDiscardCandidates(hand, game, difficulty) {
+  const aiPlayer = game.players[game.currentPlayerIndex];
+  const model = difficulty === AI_DIFFICULTY.HARD ? buildOpponentModel(game, aiPlayer) : null;
+  
   return hand.map(card => {
     let priority = 0;
     
@@ -115,11 +195,9 @@ function analyzeDiscardCandidates(hand, game, difficulty) {
       priority -= 0.7;
     }
     
-    // Advanced AI considers what opponents might need
-    if (difficulty === AI_DIFFICULTY.HARD) {
-      if (mightHelpOpponents(card, game)) {
-        priority -= 0.3;
-      }
+    // Advanced AI avoids feeding the next player's likely sets and runs
+    if (model) {
+      priority -= 0.8 * chanceNextOpponentWants(card, game, aiPlayer, model);
     }
     
     return { card, priority };
@@ -158,39 +236,35 @@ function couldCompleteSpread(card, hand) {
   return currentSpreads.length > newSpreads.length;
 }
 
-// Check if discarding card might help opponents
-function mightHelpOpponents(card, game) {
-  // Simplified implementation - could be enhanced with opponent modeling
-  return card.value <= 5; // Low cards are generally more useful
-}
-
 // Determine if AI should drop
 function shouldDrop(aiPlayer, game, difficulty = AI_DIFFICULTY.MEDIUM) {
-  // Can't drop with penalties
-  if (aiPlayer.penalties > 0) {
+  // Can't drop with penalties, or for a forfeited seat
+  if (aiPlayer.penalties > 0 || !canWinHand(aiPlayer)) {
     return false;
   }
   
   const score = calculateHandScore(aiPlayer.hand);
-  const isFirstTurn = game.players.every(p => !p.isDropped || p.id === aiPlayer.id);
+  const firstTurn = isFirstTurn(aiPlayer);
   
   // Check if dropping is even legal
-  if (!canPlayerDrop(aiPlayer, isFirstTurn)) {
+  if (!canPlayerDrop(aiPlayer, firstTurn, getRules(game))) {
     return false;
   }
   
   // AI decision based on difficulty and game state
-  return makeDropDecision(score, isFirstTurn, game, aiPlayer, difficulty);
+  return makeDropDecision(score, firstTurn, game, aiPlayer, difficulty);
 }
 
 // Make the drop decision based on various factors
 function makeDropDecision(score, isFirstTurn, game, aiPlayer, difficulty) {
-  // Always drop with triple payout conditions
-  if (score <= 11) return true;
-  if (isFirstTurn && score === 41) return true;
+  // Always drop with triple or double payout conditions
+  if (calculateWinningMultiplier(score, isFirstTurn, WIN_TYPES.DROP, getRules(game)) > 1) return true;
   
-  // Always drop with double payout
-  if (score === 50) return true;
+  // Hard AI drops only when it expects to be under every opponent - a tie or worse gets caught
+  if (difficulty === AI_DIFFICULTY.HARD) {
+    const estimates = buildOpponentModel(game, aiPlayer).opponents.map(o => o.estimatedScore);
+    return score + OPPONENT_MODEL.DROP_MARGIN < Math.min(...estimates);
+  }
   
   // Risk assessment based on difficulty
   const riskTolerance = getRiskTolerance(difficulty);
@@ -232,29 +306,70 @@ function assessGameRisk(game, aiPlayer) {
   });
   
   // Risk increases late in the game
-  const totalCardsPlayed = game.players.reduce((sum, p) => sum + (5 - p.hand.length), 0);
+  const { handSize } = getRules(game);
+  const totalCardsPlayed = game.players.reduce((sum, p) => sum + (handSize - p.hand.length), 0);
   risk += totalCardsPlayed * 0.02;
   
   return Math.min(1, risk);
 }
 
-// AI decision for playing spreads (if implemented)
+// AI decision for playing spreads - returns the card IDs to spread, or null
 function shouldPlaySpread(aiPlayer, game, difficulty = AI_DIFFICULTY.MEDIUM) {
   const spreads = findPlayableSpreads(aiPlayer.hand);
   
   if (spreads.length === 0) return null;
   
-  // For now, AI doesn't play spreads to keep game simple
-  // This could be enhanced to play spreads strategically
+  // Easy AI only lays down spreads once its hand gets heavy
+  if (difficulty === AI_DIFFICULTY.EASY && calculateHandScore(aiPlayer.hand) <= 30) {
+    return null;
+  }
+  
+  // Lay down the spread that removes the most points from the hand
+  spreads.sort((a, b) => b.score - a.score);
+  
+  return spreads[0].cards.map(card => card.id);
+}
+
+// AI decision for hitting a laid spread - returns { cardId, spreadId }, or null
+function decideHit(aiPlayer, game, difficulty = AI_DIFFICULTY.MEDIUM) {
+  // Easy AI doesn't look for hits
+  if (difficulty === AI_DIFFICULTY.EASY) return null;
+  
+  // Play off the highest card that fits, preferring opponents' spreads
+  const owners = [
+    ...game.players.filter(p => p.id !== aiPlayer.id),
+    aiPlayer
+  ];
+  
+  for (const card of sortCardsByValue(aiPlayer.hand, false)) {
+    for (const owner of owners) {
+      const spread = (owner.spreads || []).find(s => cardHitsSpread(card, s));
+      if (spread) {
+        return { cardId: card.id, spreadId: spread.id };
+      }
+    }
+  }
+  
   return null;
 }
 
-// Get AI player personality/difficulty
-function getAIPersonality(aiId) {
+const AI_NAMES = {
+  [AI_DIFFICULTY.EASY]: 'Rookie',
+  [AI_DIFFICULTY.MEDIUM]: 'Challenger',
+  [AI_DIFFICULTY.HARD]: 'Expert',
+  [AI_DIFFICULTY.EXPERT]: 'Master'
+};
+
+// Get AI player personality/difficulty - a table's AI difficulty, if it sets one, applies to every AI seat
+function getAIPersonality(aiId, tableDifficulty) {
+  if (tableDifficulty) {
+    return { difficulty: tableDifficulty, name: AI_NAMES[tableDifficulty] };
+  }
+  
   const personalities = {
-    'ai-1': { difficulty: AI_DIFFICULTY.EASY, name: 'Rookie' },
-    'ai-2': { difficulty: AI_DIFFICULTY.MEDIUM, name: 'Challenger' },
-    'ai-3': { difficulty: AI_DIFFICULTY.HARD, name: 'Expert' }
+    'ai-1': { difficulty: AI_DIFFICULTY.EASY, name: AI_NAMES[AI_DIFFICULTY.EASY] },
+    'ai-2': { difficulty: AI_DIFFICULTY.MEDIUM, name: AI_NAMES[AI_DIFFICULTY.MEDIUM] },
+    'ai-3': { difficulty: AI_DIFFICULTY.HARD, name: AI_NAMES[AI_DIFFICULTY.HARD] }
   };
   
   return personalities[aiId] || { difficulty: AI_DIFFICULTY.MEDIUM, name: 'Player' };
@@ -266,6 +381,7 @@ function getAIThinkingTime(difficulty, actionType) {
     [AI_DIFFICULTY.EASY]: { min: 500, max: 1500 },
     [AI_DIFFICULTY.MEDIUM]: { min: 800, max: 2500 },
     [AI_DIFFICULTY.HARD]: { min: 1200, max: 3500 },
+    [AI_DIFFICULTY.EXPERT]: { min: 1200, max: 3500 },
   };
   
   const complexityMultiplier = {
@@ -286,8 +402,10 @@ module.exports = {
   decideCardToDiscard,
   shouldDrop,
   shouldPlaySpread,
+  decideHit,
   getAIPersonality,
   getAIThinkingTime,
+  buildOpponentModel,
   AI_DIFFICULTY
 };
  
@@ -1,13 +1,17 @@
 //  Deck creation and management functions for Tonk
 
-// Create a deck for Tonk (standard deck minus 8s, 9s, and 10s)
-function createDeck() {
+// Point value of every rank
+const CARD_VALUES = {
+  'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7,
+  '8': 8, '9': 9, '10': 10, 'J': 10, 'Q': 10, 'K': 10
+};
+
+// Standard Tonk ranks (no 8s, 9s, or 10s)
+const TONK_RANKS = ['A', '2', '3', '4', '5', '6', '7', 'J', 'Q', 'K'];
+
+// Create a deck for Tonk (standard deck minus 8s, 9s, and 10s unless other ranks are given)
+function createDeck(ranks = TONK_RANKS, rng = Math.random) {
   const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-  const ranks = ['A', '2', '3', '4', '5', '6', '7', 'J', 'Q', 'K'];
-  const values = {
-    'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, 
-    'J': 10, 'Q': 10, 'K': 10
-  };
   
   let deck = [];
   let id = 0;
@@ -18,23 +22,23 @@ function createDeck() {
         id: `card-${id++}`,
         suit,
         rank,
-        value: values[rank],
+        value: CARD_VALUES[rank],
         isHidden: false
       });
     }
   }
   
-  return shuffle(deck);
+  return shuffle(deck, rng);
 }
 
-// Fisher-Yates shuffle algorithm
-function shuffle(array) {
+// Fisher-Yates shuffle algorithm (rng returns a float in [0, 1))
+function shuffle(array, rng = Math.random) {
   const shuffled = [...array];
   let currentIndex = shuffled.length;
   let temporaryValue, randomIndex;
 
   while (currentIndex !== 0) {
-    randomIndex = Math.floor(Math.random() * currentIndex);
+    randomIndex = Math.floor(rng() * currentIndex);
     currentIndex -= 1;
 
     temporaryValue = shuffled[currentIndex];
@@ -46,12 +50,12 @@ function shuffle(array) {
 }
 
 // Deal cards to players
-function dealCards(deck, playerCount) {
+function dealCards(deck, playerCount, handSize = 5) {
   const hands = Array(playerCount).fill().map(() => []);
   const deckCopy = [...deck];
   
-  // Deal 5 cards to each player
-  for (let i = 0; i < 5; i++) {
+  // Deal handSize cards to each player
+  for (let i = 0; i < handSize; i++) {
     for (let j = 0; j < playerCount; j++) {
       if (deckCopy.length > 0) {
         hands[j].push(deckCopy.pop());
@@ -188,7 +192,7 @@ function needsReshuffle(deck, discardPile, threshold = 5) {
 }
 
 // Reshuffle discard pile into deck
-function reshuffleDeck(deck, discardPile) {
+function reshuffleDeck(deck, discardPile, rng = Math.random) {
   if (discardPile.length <= 1) {
     return { deck: [...deck], discardPile: [...discardPile] };
   }
@@ -198,7 +202,7 @@ function reshuffleDeck(deck, discardPile) {
   const cardsToShuffle = discardPile.slice(1);
   
   // Add remaining deck cards and shuffle
-  const newDeck = shuffle([...deck, ...cardsToShuffle]);
+  const newDeck = shuffle([...deck, ...cardsToShuffle], rng);
   
   return {
     deck: newDeck,
@@ -207,6 +211,8 @@ function reshuffleDeck(deck, discardPile) {
 }
 
 module.exports = {
+  CARD_VALUES,
+  TONK_RANKS,
   createDeck,
   shuffle,
   dealCards,
@@ -0,0 +1,78 @@
+// Chat helpers - word filter and per-user rate limiting
+const crypto = require('crypto');
+const { getBroker } = require('./pubsub');
+
+const CHAT = {
+  MAX_LENGTH: 200,        // Characters per message
+  RATE_LIMIT: 5,          // Messages per window
+  RATE_WINDOW: 10000,     // Rate limit window (ms)
+  HISTORY_LIMIT: 50,      // Messages returned by the history endpoint
+  DEFAULT_MUTE: 60        // Minutes an admin mute lasts when none is given
+};
+
+// Words masked in chat (BANNED_WORDS in the environment adds more, comma separated)
+const BANNED_WORDS = [
+  'fuck',
+  'shit',
+  'bitch',
+  'cunt',
+  'asshole',
+  'bastard',
+  'dick',
+  'nigger',
+  'faggot',
+  'retard',
+  ...(process.env.BANNED_WORDS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean)
+];
+
+// Common letter swaps used to dodge the filter
+const LOOKALIKES = { a: '[a@4]', e: '[e3]', i: '[i1!|]', o: '[o0]', s: '[s$5]', t: '[t7]' };
+
+const bannedPattern = new RegExp(
+  BANNED_WORDS
+    .map(word => word.split('').map(ch => LOOKALIKES[ch] || ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join(''))
+    .map(word => `\\b${word}\\w*`)
+    .join('|'),
+  'gi'
+);
+
+// Mask banned words - returns the cleaned text and whether anything was masked
+function filterMessage(text) {
+  let filtered = false;
+
+  const clean = text.replace(bannedPattern, match => {
+    filtered = true;
+    return '*'.repeat(match.length);
+  });
+
+  return { text: clean, filtered };
+}
+
+// Each user's messages in the current window are a set on the broker, so the limit holds across
+// server processes. Members expire after the window, and the set with them.
+const rateLimitKey = userId => `chat:recent:${userId}`;
+
+// Record a message attempt - resolves false if the user is over the limit
+async function checkRateLimit(userId) {
+  const key = rateLimitKey(userId);
+  const attempt = crypto.randomUUID();
+
+  if ((await getBroker().addMember(key, attempt, CHAT.RATE_WINDOW)) > CHAT.RATE_LIMIT) {
+    await getBroker().removeMember(key, attempt);
+    return false;
+  }
+
+  return true;
+}
+
+// Check if a chat channel name is one we serve: the lobby or a game room
+function isValidChannel(channel) {
+  return channel === 'lobby' || /^game-[a-f0-9]{24}$/.test(channel);
+}
+
+module.exports = {
+  CHAT,
+  filterMessage,
+  checkRateLimit,
+  isValidChannel
+};
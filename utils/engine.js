@@ -0,0 +1,476 @@
+// Pure Tonk engine - works on plain game state objects and never touches the database.
+// Controllers load a Game into a state, run actions through applyAction, and persist the result.
+
+const { createDeck, dealCards, calculateHandScore, removeCardById, needsReshuffle, reshuffleDeck } = require('./cards');
+const {
+  WIN_TYPES,
+  snapshotRules,
+  getRules,
+  canPlayerDrop,
+  isFirstTurn,
+  calculateWinningMultiplier,
+  findInstantTonk,
+  isReem,
+  resolveDropShowdown,
+  resolveStockOut,
+  findSpreadById,
+  applyHitPenalties,
+  getSpreadType,
+  isValidMove
+} = require('./gameRules');
+
+// Deal a new hand
+// config: { players: [{ id, username, avatar, isAI, forfeited, stakePaid }], stake, rules, firstPlayerIndex }
+function createInitialState(config, rng = Math.random) {
+  const { players, stake, firstPlayerIndex = 0 } = config;
+  const rules = snapshotRules(config.rules);
+  const now = config.timestamp || Date.now();
+
+  // Shuffle and deal
+  const deck = createDeck(rules.ranks, rng);
+  const { hands, deck: remainingDeck } = dealCards(deck, players.length, rules.handSize);
+
+  // Create discard pile with top card from deck
+  const discardPile = [remainingDeck.pop()];
+
+  const state = {
+    players: players.map((player, i) => {
+      const seat = {
+        id: player.id,
+        username: player.username,
+        avatar: player.avatar,
+        isAI: !!player.isAI,
+        hand: hands[i],
+        spreads: [],
+        isDropped: false,
+        canDrop: false,
+        score: calculateHandScore(hands[i]),
+        penalties: 0,
+        hitCount: 0,
+        hasDrawn: false,
+        turnsTaken: 0,
+        forfeited: !!player.forfeited,
+        stakePaid: player.stakePaid || 0,
+        taken: [],
+        passed: []
+      };
+
+      // Check if players can drop on first turn
+      seat.canDrop = canPlayerDrop(seat, true, rules);
+
+      return seat;
+    }),
+    currentPlayerIndex: firstPlayerIndex,
+    deck: remainingDeck,
+    discardPile,
+    status: 'playing',
+    stake,
+    // Only stakes actually collected go in the pot
+    pot: players.reduce((sum, player) => sum + (player.stakePaid || 0), 0),
+    rules,
+    reshuffles: 0,
+    gameStarted: true,
+    turnStartTime: now,
+    lastActionAt: now
+  };
+
+  // A hand dealt at 49 or 50 wins instantly
+  const tonkPlayer = findInstantTonk(state.players, state.currentPlayerIndex, rules);
+  if (tonkPlayer) {
+    endHandWithWin({ state, events: [], now, rng }, tonkPlayer, WIN_TYPES.TONK);
+  }
+
+  return state;
+}
+
+// Apply a player action to a state
+// action: { type: 'draw' | 'discard' | 'drop' | 'spread' | 'hit', playerId, source, cardId, cardIds, spreadId }
+// Returns the next state and the events it produced; the input state is never modified.
+function applyAction(state, action, rng = Math.random) {
+  if (state.status !== 'playing') {
+    throw new Error('Game is not in progress');
+  }
+
+  const validation = isValidMove(state, action.playerId, action.type, action);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const ctx = {
+    state: structuredClone(state),
+    events: [],
+    now: action.timestamp || Date.now(),
+    rng
+  };
+
+  const playerIndex = ctx.state.players.findIndex(p => p.id === action.playerId);
+
+  switch (action.type) {
+    case 'draw':
+      handleDraw(ctx, playerIndex, action.source === 'discard');
+      break;
+
+    case 'discard':
+      handleDiscard(ctx, playerIndex, action.cardId);
+      break;
+
+    case 'drop':
+      handleDrop(ctx, playerIndex);
+      break;
+
+    case 'spread':
+      handleSpread(ctx, playerIndex, action.cardIds);
+      break;
+
+    case 'hit':
+      handleHit(ctx, playerIndex, action.cardId, action.spreadId);
+      break;
+
+    default:
+      throw new Error('Invalid action');
+  }
+
+  return { state: ctx.state, events: ctx.events };
+}
+
+// Handle draw action
+function handleDraw(ctx, playerIndex, fromDiscard) {
+  const { state, now } = ctx;
+  const player = state.players[playerIndex];
+
+  // Check draw source
+  if (fromDiscard) {
+    // Drawing from discard pile
+    if (state.discardPile.length === 0) {
+      throw new Error('Discard pile is empty');
+    }
+
+    const drawnCard = state.discardPile.shift();
+    player.hand.push(drawnCard);
+    player.taken = [...(player.taken || []), drawnCard];
+
+    ctx.events.push({ type: 'draw', playerId: player.id, source: 'discard', card: drawnCard });
+  } else {
+    // Drawing from deck - everyone sees the player pass on the top discard
+    if (state.discardPile.length > 0) {
+      player.passed = [...(player.passed || []), state.discardPile[0]];
+    }
+
+    if (needsReshuffle(state.deck, state.discardPile)) {
+      const reshuffled = reshuffleDeck(state.deck, state.discardPile, ctx.rng);
+      state.deck = reshuffled.deck;
+      state.discardPile = reshuffled.discardPile;
+      state.reshuffles = (state.reshuffles || 0) + 1;
+
+      ctx.events.push({ type: 'reshuffle', deckSize: state.deck.length });
+    }
+
+    // Stock-out: the hand ends and the lowest hand wins
+    if (state.deck.length === 0) {
+      handleStockOut(ctx);
+      return;
+    }
+
+    player.hand.push(state.deck.pop());
+
+    ctx.events.push({ type: 'draw', playerId: player.id, source: 'deck' });
+  }
+
+  // Update player state
+  player.score = calculateHandScore(player.hand);
+  player.canDrop = canPlayerDrop(player, false, getRules(state));
+  player.hasDrawn = true;
+
+  // Update game state
+  state.turnStartTime = now;
+  state.lastActionAt = now;
+}
+
+// Handle discard action
+function handleDiscard(ctx, playerIndex, cardId) {
+  const { state, now } = ctx;
+  const player = state.players[playerIndex];
+  const rules = getRules(state);
+
+  // Remove card from hand and add to discard pile
+  const card = removeCardById(player.hand, cardId);
+
+  if (!card) {
+    throw new Error('Card not found in hand');
+  }
+
+  state.discardPile.unshift(card);
+  forgetTaken(player, [card]);
+  player.passed = [...(player.passed || []), card];
+
+  // Update player state
+  player.score = calculateHandScore(player.hand);
+  player.hasDrawn = false;
+  player.turnsTaken = (player.turnsTaken || 0) + 1;
+
+  // Decrement penalties for all players
+  state.players.forEach(p => {
+    if (p.penalties > 0) {
+      p.penalties -= 1;
+    }
+    p.canDrop = canPlayerDrop(p, false, rules);
+  });
+
+  // Move to next player
+  state.currentPlayerIndex = getNextActivePlayer(state, playerIndex);
+  state.turnStartTime = now;
+  state.lastActionAt = now;
+
+  // Record action
+  state.lastAction = {
+    type: 'discard',
+    player: player.id,
+    card: card,
+    timestamp: now
+  };
+
+  ctx.events.push({ type: 'discard', playerId: player.id, card });
+}
+
+// End the hand when the deck and discard pile are spent
+function handleStockOut(ctx) {
+  const { state, now } = ctx;
+  const stockOut = resolveStockOut(state.players);
+  const multiplier = calculateWinningMultiplier(0, false, WIN_TYPES.STOCK_OUT, getRules(state));
+
+  revealScores(state, stockOut.scores);
+
+  state.showdown = {
+    caught: false,
+    penalty: 0,
+    scores: stockOut.scores
+  };
+
+  // Record action
+  state.lastAction = {
+    type: WIN_TYPES.STOCK_OUT,
+    player: state.players[state.currentPlayerIndex].id,
+    score: stockOut.scores.find(s => s.playerId === stockOut.winnerIds[0]).score,
+    multiplier: multiplier,
+    timestamp: now
+  };
+
+  state.lastActionAt = now;
+
+  endHand(ctx, stockOut.winnerIds, multiplier, WIN_TYPES.STOCK_OUT);
+}
+
+// Handle drop action - ends the hand in a showdown
+function handleDrop(ctx, playerIndex) {
+  const { state, now } = ctx;
+  const player = state.players[playerIndex];
+
+  // Calculate score and check for special conditions
+  const score = calculateHandScore(player.hand);
+  const firstTurn = isFirstTurn(player);
+
+  // Update player state
+  player.score = score;
+  player.isDropped = true;
+  player.dropTime = now;
+
+  // Reveal every hand; the lowest total wins and a dropper who isn't lowest is caught
+  const showdown = resolveDropShowdown(state.players, player.id);
+
+  revealScores(state, showdown.scores);
+
+  state.showdown = {
+    droppedBy: player.id,
+    caught: showdown.caught,
+    penalty: 0,
+    scores: showdown.scores
+  };
+
+  // A caught drop pays the winner the regular amount
+  const multiplier = showdown.caught ? 1 : calculateWinningMultiplier(score, firstTurn, WIN_TYPES.DROP, getRules(state));
+
+  // Record action
+  state.lastAction = {
+    type: showdown.caught ? 'caught' : 'drop',
+    player: player.id,
+    score: score,
+    multiplier: multiplier,
+    timestamp: now
+  };
+
+  state.lastActionAt = now;
+
+  ctx.events.push({ type: 'drop', playerId: player.id, score, caught: showdown.caught });
+
+  endHand(ctx, showdown.winnerId, multiplier, WIN_TYPES.DROP);
+}
+
+// Handle spread action
+function handleSpread(ctx, playerIndex, cardIds) {
+  const { state, now } = ctx;
+  const player = state.players[playerIndex];
+
+  // Move the spread cards from the hand onto the table, face-up
+  const cards = cardIds.map(cardId => removeCardById(player.hand, cardId));
+
+  if (cards.some(card => !card)) {
+    throw new Error('Card not found in hand');
+  }
+
+  forgetTaken(player, cards);
+  player.spreads = player.spreads || [];
+
+  const spread = {
+    id: `${player.id}-spread-${player.spreads.length + 1}`,
+    type: getSpreadType(cards),
+    cards
+  };
+
+  player.spreads.push(spread);
+
+  // Spread cards no longer count toward the hand score
+  player.score = calculateHandScore(player.hand);
+  player.canDrop = canPlayerDrop(player, false, getRules(state));
+
+  state.turnStartTime = now;
+  state.lastActionAt = now;
+
+  // Record action
+  state.lastAction = {
+    type: 'spread',
+    player: player.id,
+    spreadId: spread.id,
+    cards: spread.cards,
+    timestamp: now
+  };
+
+  ctx.events.push({ type: 'spread', playerId: player.id, spread });
+
+  // Two spreads before anyone drops is Reem; spreading the whole hand goes out
+  if (isReem(player, state.players)) {
+    endHandWithWin(ctx, player, WIN_TYPES.REEM, { spreadId: spread.id, cards: spread.cards });
+  } else if (player.hand.length === 0) {
+    endHandWithWin(ctx, player, WIN_TYPES.OUT, { spreadId: spread.id, cards: spread.cards });
+  }
+}
+
+// Handle hit action (play a card onto a laid spread)
+function handleHit(ctx, playerIndex, cardId, spreadId) {
+  const { state, now } = ctx;
+  const player = state.players[playerIndex];
+  const target = findSpreadById(state, spreadId);
+
+  if (!target) {
+    throw new Error('Spread not found');
+  }
+
+  const card = removeCardById(player.hand, cardId);
+
+  if (!card) {
+    throw new Error('Card not found in hand');
+  }
+
+  forgetTaken(player, [card]);
+
+  // Add the card to the spread, keeping runs in order
+  target.spread.cards.push(card);
+  if (target.spread.type === 'run') {
+    target.spread.cards.sort((a, b) => a.value - b.value);
+  }
+
+  // The owner of the hit spread is caught and cannot drop for a while
+  const penalties = applyHitPenalties(state, spreadId, player.id);
+
+  player.score = calculateHandScore(player.hand);
+  player.canDrop = canPlayerDrop(player, false, getRules(state));
+
+  state.turnStartTime = now;
+  state.lastActionAt = now;
+
+  // Record action
+  state.lastAction = {
+    type: 'hit',
+    player: player.id,
+    card: card,
+    spreadId: spreadId,
+    penalties: penalties,
+    timestamp: now
+  };
+
+  ctx.events.push({ type: 'hit', playerId: player.id, card, spreadId, penalties });
+
+  // Hitting with the last card in hand goes out and wins the hand
+  if (player.hand.length === 0) {
+    endHandWithWin(ctx, player, WIN_TYPES.OUT, { card, spreadId, penalties });
+  }
+}
+
+// Get the next player still in the hand
+function getNextActivePlayer(state, currentPlayerIndex) {
+  let nextIndex = (currentPlayerIndex + 1) % state.players.length;
+
+  // Skip players who have dropped
+  while (state.players[nextIndex].isDropped) {
+    nextIndex = (nextIndex + 1) % state.players.length;
+
+    // Prevent infinite loop
+    if (nextIndex === currentPlayerIndex) {
+      break;
+    }
+  }
+
+  return nextIndex;
+}
+
+// A taken discard is public until the player plays it - then it's no longer known to be in their hand
+function forgetTaken(player, cards) {
+  player.taken = (player.taken || []).filter(t => !cards.some(card => card.id === t.id));
+}
+
+// Copy revealed hand totals onto the players
+function revealScores(state, scores) {
+  state.players.forEach(p => {
+    p.score = scores.find(s => s.playerId === p.id).score;
+  });
+}
+
+// End the hand on an instant win (Tonk, Reem or going out)
+function endHandWithWin(ctx, player, winType, details = {}) {
+  const { state, now } = ctx;
+  const score = calculateHandScore(player.hand);
+  const multiplier = calculateWinningMultiplier(score, false, winType, getRules(state));
+
+  // Record action so clients can animate the win
+  state.lastAction = {
+    type: winType,
+    player: player.id,
+    score: score,
+    multiplier: multiplier,
+    ...details,
+    timestamp: now
+  };
+
+  endHand(ctx, player.id, multiplier, winType);
+}
+
+// Mark the hand over - winnerId may be an array when tied hands split the pot.
+// Paying out is left to the caller.
+function endHand(ctx, winnerId, multiplier, winType) {
+  const { state, now } = ctx;
+  const winnerIds = [].concat(winnerId);
+
+  state.status = 'ended';
+  state.winner = winnerIds[0];
+  state.winners = winnerIds;
+  state.winType = winType;
+  state.winningMultiplier = multiplier;
+  state.endTime = now;
+
+  ctx.events.push({ type: 'gameEnd', winners: winnerIds, winType, multiplier });
+}
+
+module.exports = {
+  createInitialState,
+  applyAction,
+  getNextActivePlayer
+};
@@ -0,0 +1,67 @@
+// Provably fair shuffling - commit to a server seed hash before the deal, reveal the seed after the game
+const crypto = require('crypto');
+const { createDeck, shuffle } = require('./cards');
+
+// Generate a random server seed
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Generate a default client seed for players who don't supply one
+function generateClientSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Hash of the server seed, published when the game is created
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Deterministic RNG returning floats in [0, 1), built from HMAC-SHA256(serverSeed, clientSeed:nonce:round).
+// Nonce 0 is the deal; each reshuffle of the discard pile uses the next nonce.
+function createSeededRng(serverSeed, clientSeed, nonce = 0) {
+  let round = 0;
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+
+  return function rng() {
+    if (offset + 4 > buffer.length) {
+      buffer = crypto.createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${round++}`)
+        .digest();
+      offset = 0;
+    }
+
+    const value = buffer.readUInt32BE(offset) / 0x100000000;
+    offset += 4;
+
+    return value;
+  };
+}
+
+// Server seed for hand N of a match, derived from the seed the match committed to.
+// Revealing one hand's seed gives away neither the match seed nor the other hands' seeds.
+function deriveHandSeed(matchSeed, handNumber) {
+  return crypto.createHmac('sha256', matchSeed).update(`hand:${handNumber}`).digest('hex');
+}
+
+// Re-derive the deck order for a set of seeds (before any cards are dealt)
+function deriveDeckOrder(serverSeed, clientSeed, ranks) {
+  return createDeck(ranks, createSeededRng(serverSeed, clientSeed, 0));
+}
+
+// Re-derive the Nth reshuffle, given the cards that went into it in order
+// (the remaining deck followed by the discard pile minus its top card)
+function deriveReshuffle(serverSeed, clientSeed, nonce, cards) {
+  return shuffle(cards, createSeededRng(serverSeed, clientSeed, nonce));
+}
+
+module.exports = {
+  generateServerSeed,
+  generateClientSeed,
+  hashSeed,
+  createSeededRng,
+  deriveHandSeed,
+  deriveDeckOrder,
+  deriveReshuffle
+};
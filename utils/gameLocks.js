@@ -0,0 +1,39 @@
+// Per-game locks - only one server process at a time may change a game
+const { getBroker } = require('./pubsub');
+
+const GAME_LOCK = {
+  TTL: 30000,    // A lock expires on its own if its holder dies (ms)
+  WAIT: 5000,    // How long to wait for a busy game before giving up (ms)
+  RETRY: 50      // Delay between attempts while waiting (ms)
+};
+
+// Run fn while holding the game's lock. Throws a GameLockError if the game stays busy for wait ms.
+async function withGameLock(gameId, fn, { wait = GAME_LOCK.WAIT } = {}) {
+  const broker = getBroker();
+  const key = `game:${gameId}`;
+  const giveUpAt = Date.now() + wait;
+
+  let token = await broker.lock(key, GAME_LOCK.TTL);
+
+  while (!token && Date.now() < giveUpAt) {
+    await new Promise(resolve => setTimeout(resolve, GAME_LOCK.RETRY));
+    token = await broker.lock(key, GAME_LOCK.TTL);
+  }
+
+  if (!token) {
+    const error = new Error('Game is busy - try again');
+    error.name = 'GameLockError';
+    throw error;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await broker.unlock(key, token);
+  }
+}
+
+module.exports = {
+  GAME_LOCK,
+  withGameLock
+};
@@ -1,7 +1,62 @@
-const  { isValidSpread, calculateHandScore } = require('./cards');
+const  { isValidSpread, calculateHandScore, TONK_RANKS } = require('./cards');
+
+// Ways a hand can be won
+const WIN_TYPES = {
+  DROP: 'drop',   // Lowest hand after a drop
+  OUT: 'out',     // Played every card in hand onto the table
+  TONK: 'tonk',   // Dealt a hand totaling 49 or 50
+  REEM: 'reem',   // Laid two spreads before anyone dropped
+  STOCK_OUT: 'stockout' // Lowest hand when the deck ran out
+};
+
+// House rules used when a table has no RuleSet
+const DEFAULT_RULES = {
+  handSize: 5,
+  ranks: TONK_RANKS,
+  lowDropThreshold: 11,         // Always droppable
+  firstTurnDropThreshold: 41,   // Droppable on the first turn
+  dropThreshold: 50,            // Highest droppable hand
+  instantTonkScores: [49, 50],  // Dealt hand totals that win instantly
+  caughtDropPenalty: 2,         // Extra stakes a dropper pays when another hand is as low or lower
+  multipliers: {
+    lowDrop: 3,        // Drop at or under lowDropThreshold
+    firstTurnDrop: 3,  // Drop at exactly firstTurnDropThreshold on the first turn
+    maxDrop: 2,        // Drop at exactly dropThreshold
+    tonk: 3,
+    reem: 2,
+    out: 1,
+    stockOut: 1
+  }
+};
+
+// Build the rules snapshot stored on a Game from a RuleSet document (or the defaults)
+function snapshotRules(ruleSet) {
+  const source = ruleSet?.toObject ? ruleSet.toObject() : (ruleSet || {});
+  const rules = { ...DEFAULT_RULES };
+  
+  Object.keys(DEFAULT_RULES).forEach(key => {
+    if (source[key] !== undefined && key !== 'multipliers') {
+      rules[key] = source[key];
+    }
+  });
+  
+  rules.multipliers = { ...DEFAULT_RULES.multipliers, ...(source.multipliers || {}) };
+  
+  if (source._id) {
+    rules.ruleSetId = source._id.toString();
+    rules.name = source.name;
+  }
+  
+  return rules;
+}
+
+// Get the rules a game is played under (games created before rule sets use the defaults)
+function getRules(game) {
+  return game?.rules ? snapshotRules(game.rules) : DEFAULT_RULES;
+}
 
 // Check if a player can drop based on game rules
-function canPlayerDrop(player, isFirstTurn = false) {
+function canPlayerDrop(player, isFirstTurn = false, rules = DEFAULT_RULES) {
   // Player with penalties cannot drop
   if (player.penalties > 0) {
     return false;
@@ -11,50 +66,148 @@ function canPlayerDrop(player, isFirstTurn = false) {
   const score = calculateHandScore(player.hand);
   
   // Special case: 11 or under is always droppable (triple payout)
-  if (score <= 11) {
+  if (score <= rules.lowDropThreshold) {
     return true;
   }
   
   // First turn rule: 41 or less is droppable (triple payout if exactly 41)
-  if (isFirstTurn && score <= 41) {
+  if (isFirstTurn && score <= rules.firstTurnDropThreshold) {
     return true;
   }
   
   // Regular case: 50 or less is droppable
-  return score <= 50;
+  return score <= rules.dropThreshold;
 }
 
 // Calculate winning multiplier based on score and conditions
-function calculateWinningMultiplier(score, isFirstTurn = false) {
+function calculateWinningMultiplier(score, isFirstTurn = false, winType = WIN_TYPES.DROP, rules = DEFAULT_RULES) {
+  const { multipliers } = rules;
+  
+  // Instant Tonk on the deal pays triple
+  if (winType === WIN_TYPES.TONK) {
+    return multipliers.tonk;
+  }
+  
+  // Reem pays double
+  if (winType === WIN_TYPES.REEM) {
+    return multipliers.reem;
+  }
+  
+  // Going out pays the regular amount
+  if (winType === WIN_TYPES.OUT) {
+    return multipliers.out;
+  }
+  
+  // Stock-out pays the regular amount
+  if (winType === WIN_TYPES.STOCK_OUT) {
+    return multipliers.stockOut;
+  }
+  
   // Triple payout: 11 and under
-  if (score <= 11) {
-    return 3;
+  if (score <= rules.lowDropThreshold) {
+    return multipliers.lowDrop;
   }
   
   // Triple payout: exactly 41 on first turn
-  if (isFirstTurn && score === 41) {
-    return 3;
+  if (isFirstTurn && score === rules.firstTurnDropThreshold) {
+    return multipliers.firstTurnDrop;
   }
   
   // Double payout: exactly 50
-  if (score === 50) {
-    return 2;
+  if (score === rules.dropThreshold) {
+    return multipliers.maxDrop;
   }
   
   // Regular payout
   return 1;
 }
 
-// Check if adding a card would hit an existing spread
+// Find the first player (in turn order) dealt an instant Tonk hand
+function findInstantTonk(players, startIndex = 0, rules = DEFAULT_RULES) {
+  for (let i = 0; i < players.length; i++) {
+    const player = players[(startIndex + i) % players.length];
+    
+    if (rules.instantTonkScores.includes(calculateHandScore(player.hand))) {
+      return player;
+    }
+  }
+  
+  return null;
+}
+
+// A player is on their first turn until they discard (hands dealt before turnsTaken was kept never are)
+function isFirstTurn(player) {
+  return player.turnsTaken === 0;
+}
+
+// Check if a player has made Reem (two spreads laid before anyone dropped)
+function isReem(player, allPlayers) {
+  if ((player.spreads || []).length < 2) {
+    return false;
+  }
+  
+  return allPlayers.every(p => !p.isDropped);
+}
+
+// Reveal every player's hand and its total
+function revealHands(players) {
+  return players.map(p => ({
+    playerId: p.id,
+    score: calculateHandScore(p.hand),
+    hand: p.hand
+  }));
+}
+
+// Forfeited seats (and players who left) play the hand out but can't win it
+function canWinHand(player) {
+  return !player.forfeited && !player.left;
+}
+
+// Reveal every hand after a drop and find the lowest total
+function resolveDropShowdown(players, dropperId) {
+  const scores = revealHands(players);
+  
+  const dropper = scores.find(s => s.playerId === dropperId);
+  const dropperIndex = scores.indexOf(dropper);
+  
+  // Check the other hands in turn order after the dropper; the first to tie or beat the drop catches it
+  let winner = dropper;
+  for (let i = 1; i < scores.length; i++) {
+    const entry = scores[(dropperIndex + i) % scores.length];
+    
+    if (!canWinHand(players[(dropperIndex + i) % players.length])) continue;
+    
+    if (entry.score < winner.score || (winner === dropper && entry.score === dropper.score)) {
+      winner = entry;
+    }
+  }
+  
+  return {
+    winnerId: winner.playerId,
+    caught: winner !== dropper,
+    scores
+  };
+}
+
+// Reveal every hand when the stock runs out; all hands tied for lowest split the pot.
+// Only seats that can win are compared, unless none can.
+function resolveStockOut(players) {
+  const scores = revealHands(players);
+  const contenders = players.some(canWinHand) ? scores.filter((s, i) => canWinHand(players[i])) : scores;
+  const lowest = Math.min(...contenders.map(s => s.score));
+  
+  return {
+    winnerIds: contenders.filter(s => s.score === lowest).map(s => s.playerId),
+    scores
+  };
+}
+
+// Check if adding a card would hit a spread laid on the table by another player
 function wouldHitSpread(card, targetPlayer, allPlayers) {
-  // Check all players' spreads for potential hits
   for (const player of allPlayers) {
     if (player.id === targetPlayer.id) continue;
     
-    // Check existing spreads (groups of 3+ cards of same rank or sequential same suit)
-    const spreads = findExistingSpreads(player.hand);
-    
-    for (const spread of spreads) {
+    for (const spread of player.spreads || []) {
       if (cardHitsSpread(card, spread)) {
         return { hit: true, playerId: player.id, spread };
       }
@@ -64,6 +217,18 @@ function wouldHitSpread(card, targetPlayer, allPlayers) {
   return { hit: false };
 }
 
+// Find a laid spread and its owner by spread ID
+function findSpreadById(game, spreadId) {
+  for (const player of game.players) {
+    const spread = (player.spreads || []).find(s => s.id === spreadId);
+    if (spread) {
+      return { owner: player, spread };
+    }
+  }
+  
+  return null;
+}
+
 // Find existing spreads in a hand
 function findExistingSpreads(hand) {
   const spreads = [];
@@ -152,32 +317,39 @@ function cardHitsSpread(card, spread) {
   return false;
 }
 
-// Apply penalties for hitting spreads
-function applyHitPenalties(game, card, playerId) {
+// Apply the hit penalty to the owner of a spread that was just hit
+function applyHitPenalties(game, spreadId, playerId) {
   const penalties = [];
+  const target = findSpreadById(game, spreadId);
   
-  game.players.forEach(player => {
-    if (player.id === playerId) return;
-    
-    const hitResult = wouldHitSpread(card, player, game.players);
-    if (hitResult.hit) {
-      // Apply penalty: prevent dropping for 2 turns for first hit, +1 turn for each additional hit
-      const basePenalty = 2;
-      const additionalPenalty = player.hitCount || 0;
-      player.penalties = basePenalty + additionalPenalty;
-      player.hitCount = (player.hitCount || 0) + 1;
-      
-      penalties.push({
-        playerId: player.id,
-        penaltyTurns: player.penalties,
-        hitSpread: hitResult.spread
-      });
-    }
+  // Hitting your own spread carries no penalty
+  if (!target || target.owner.id === playerId) {
+    return penalties;
+  }
+  
+  const { owner, spread } = target;
+  
+  // Apply penalty: prevent dropping for 2 turns for first hit, +1 turn for each additional hit
+  const basePenalty = 2;
+  const additionalPenalty = owner.hitCount || 0;
+  owner.penalties = basePenalty + additionalPenalty;
+  owner.hitCount = (owner.hitCount || 0) + 1;
+  owner.canDrop = false;
+  
+  penalties.push({
+    playerId: owner.id,
+    penaltyTurns: owner.penalties,
+    hitSpread: { id: spread.id, type: spread.type }
   });
   
   return penalties;
 }
 
+// Classify a valid spread as a set (same rank) or a run (same suit, sequential)
+function getSpreadType(cards) {
+  return cards.every(c => c.rank === cards[0].rank) ? 'set' : 'run';
+}
+
 // Check for valid spreads that can be played from hand
 function findPlayableSpreads(hand) {
   const playableSpreads = [];
@@ -190,7 +362,7 @@ function findPlayableSpreads(hand) {
       if (isValidSpread(combo)) {
         playableSpreads.push({
           cards: combo,
-          type: combo.every(c => c.rank === combo[0].rank) ? 'set' : 'run',
+          type: getSpreadType(combo),
           score: combo.reduce((sum, card) => sum + card.value, 0)
         });
       }
@@ -237,6 +409,8 @@ function isValidMove(game, playerId, action, data = {}) {
       return validateDrop(game, player, data);
     case 'spread':
       return validateSpread(game, player, data);
+    case 'hit':
+      return validateHit(game, player, data);
     default:
       return { valid: false, error: 'Invalid action' };
   }
@@ -245,20 +419,26 @@ function isValidMove(game, playerId, action, data = {}) {
 function validateDraw(game, player, data) {
   const { source } = data;
   
-  if (source === 'discard' && game.discardPile.length === 0) {
-    return { valid: false, error: 'Discard pile is empty' };
+  // One draw per turn - the turn ends with a discard
+  if (player.hasDrawn) {
+    return { valid: false, error: 'Already drew this turn' };
   }
   
-  if (source === 'deck' && game.deck.length === 0 && game.discardPile.length <= 1) {
-    return { valid: false, error: 'No cards available to draw' };
+  if (source === 'discard' && game.discardPile.length === 0) {
+    return { valid: false, error: 'Discard pile is empty' };
   }
   
+  // Drawing from an exhausted deck is allowed - it ends the hand (stock-out)
   return { valid: true };
 }
 
 function validateDiscard(game, player, data) {
   const { cardId } = data;
   
+  if (!player.hasDrawn) {
+    return { valid: false, error: 'Must draw before discarding' };
+  }
+  
   if (!cardId) {
     return { valid: false, error: 'Card ID required' };
   }
@@ -272,14 +452,17 @@ function validateDiscard(game, player, data) {
 }
 
 function validateDrop(game, player, data) {
+  // A drop could only win the hand for a seat that can't win it
+  if (!canWinHand(player)) {
+    return { valid: false, error: 'Forfeited seats cannot drop' };
+  }
+  
   if (player.penalties > 0) {
     return { valid: false, error: `Cannot drop for ${player.penalties} more turns due to penalties` };
   }
   
   const score = calculateHandScore(player.hand);
-  const isFirstTurn = game.players.every(p => !p.isDropped || p.id === player.id);
-  
-  if (!canPlayerDrop(player, isFirstTurn)) {
+  if (!canPlayerDrop(player, isFirstTurn(player), getRules(game))) {
     return { valid: false, error: `Cannot drop with score ${score}` };
   }
   
@@ -289,7 +472,11 @@ function validateDrop(game, player, data) {
 function validateSpread(game, player, data) {
   const { cardIds } = data;
   
-  if (!cardIds || cardIds.length < 3) {
+  if (!player.hasDrawn) {
+    return { valid: false, error: 'Must draw before spreading' };
+  }
+  
+  if (!Array.isArray(cardIds) || cardIds.length < 3) {
     return { valid: false, error: 'At least 3 cards required for spread' };
   }
   
@@ -298,6 +485,10 @@ function validateSpread(game, player, data) {
     return { valid: false, error: 'One or more cards not in hand' };
   }
   
+  if (new Set(cardIds).size !== cardIds.length) {
+    return { valid: false, error: 'Duplicate cards in spread' };
+  }
+  
   if (!isValidSpread(cards)) {
     return { valid: false, error: 'Invalid spread combination' };
   }
@@ -305,17 +496,59 @@ function validateSpread(game, player, data) {
   return { valid: true };
 }
 
+function validateHit(game, player, data) {
+  const { cardId, spreadId } = data;
+  
+  if (!player.hasDrawn) {
+    return { valid: false, error: 'Must draw before hitting a spread' };
+  }
+  
+  if (!cardId || !spreadId) {
+    return { valid: false, error: 'Card ID and spread ID required' };
+  }
+  
+  const card = player.hand.find(c => c.id === cardId);
+  if (!card) {
+    return { valid: false, error: 'Card not in hand' };
+  }
+  
+  const target = findSpreadById(game, spreadId);
+  if (!target || target.owner.isDropped) {
+    return { valid: false, error: 'Spread not found' };
+  }
+  
+  if (!cardHitsSpread(card, target.spread)) {
+    return { valid: false, error: 'Card does not hit that spread' };
+  }
+  
+  return { valid: true };
+}
+
 module.exports = {
+  WIN_TYPES,
+  DEFAULT_RULES,
+  snapshotRules,
+  getRules,
   canPlayerDrop,
+  isFirstTurn,
+  canWinHand,
   calculateWinningMultiplier,
+  findInstantTonk,
+  isReem,
+  resolveDropShowdown,
+  resolveStockOut,
   wouldHitSpread,
   findExistingSpreads,
+  findSpreadById,
+  cardHitsSpread,
   applyHitPenalties,
+  getSpreadType,
   findPlayableSpreads,
   isValidMove,
   validateDraw,
   validateDiscard,
   validateDrop,
-  validateSpread
+  validateSpread,
+  validateHit
 };
  
\ No newline at end of file
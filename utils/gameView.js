@@ -0,0 +1,90 @@
+// What each client may see of a game - the deck order, opponents' cards and their hand totals stay on the server
+
+// Seat fields that give away a hidden hand - its total, and whether it is low enough to drop
+const HIDDEN_SEAT_FIELDS = ['score', 'canDrop'];
+
+// Hidden cards are named by seat and position - deck ids are numbered in suit and rank order,
+// so a real id would give the card away
+const HIDDEN_CARD_ID = /^hidden-\d+-\d+$/;
+
+// Face-down stand-in for a card the viewer may not see
+function hideCard(seatIndex, cardIndex) {
+  return {
+    id: `hidden-${seatIndex}-${cardIndex}`,
+    suit: '?',
+    rank: '?',
+    value: 0,
+    isHidden: true
+  };
+}
+
+// A player's view of a game (a Game document or plain game state).
+// Pass a null playerId for a view with every hand hidden.
+function sanitizeGameForPlayer(game, playerId) {
+  const gameData = typeof game.toObject === 'function' ? game.toObject() : { ...game };
+  const { deck, ...view } = gameData;
+
+  view.deckCount = deck?.length || 0;
+
+  view.players = gameData.players.map((player, seatIndex) => {
+    if (player.id !== playerId && gameData.status !== 'ended') {
+      // Hide other players' cards and hand totals until the hand is over
+      const seat = { ...player, hand: player.hand.map((card, cardIndex) => hideCard(seatIndex, cardIndex)) };
+      HIDDEN_SEAT_FIELDS.forEach(field => delete seat[field]);
+      return seat;
+    }
+    return player;
+  });
+
+  return view;
+}
+
+// Check a payload about to be sent to viewerId - returns a list of leaks (empty when safe).
+// Looks for any undealt deck, and for opponents' face-up cards, real card ids or hand totals in a game that is still running.
+function findLeakedCards(payload, viewerId) {
+  const leaks = [];
+  const seen = new Set();
+
+  const visit = (value, path) => {
+    if (!value || typeof value !== 'object' || seen.has(value)) return;
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => visit(item, `${path}[${i}]`));
+      return;
+    }
+
+    if (Array.isArray(value.deck) && value.deck.length > 0) {
+      leaks.push(`${path}.deck`);
+    }
+
+    if (Array.isArray(value.players) && value.status !== 'ended') {
+      value.players.forEach((player, i) => {
+        if (player?.id === viewerId || !Array.isArray(player?.hand)) return;
+
+        if (player.hand.some(card => !card.isHidden || !HIDDEN_CARD_ID.test(card.id))) {
+          leaks.push(`${path}.players[${i}].hand`);
+        }
+
+        HIDDEN_SEAT_FIELDS.forEach(field => {
+          if (player[field] !== undefined && player[field] !== null) {
+            leaks.push(`${path}.players[${i}].${field}`);
+          }
+        });
+      });
+    }
+
+    Object.keys(value).forEach(key => {
+      if (key !== 'deck') visit(value[key], `${path}.${key}`);
+    });
+  };
+
+  visit(payload, 'payload');
+
+  return leaks;
+}
+
+module.exports = {
+  sanitizeGameForPlayer,
+  findLeakedCards
+};
@@ -0,0 +1,228 @@
+// Expert AI - information-set Monte Carlo tree search.
+// Each iteration deals the cards the AI hasn't seen into a random deck and opponent hands that fit
+// what it has seen, plays one of its own moves from the search tree, then plays the rest of the hand
+// out with the heuristic AI. The move with the best average result is chosen.
+const { shuffle } = require('./cards');
+const { getRules, isValidMove } = require('./gameRules');
+const { applyAction } = require('./engine');
+const {
+  AI_DIFFICULTY,
+  buildOpponentModel,
+  decideDrawSource,
+  decideCardToDiscard,
+  shouldDrop,
+  shouldPlaySpread,
+  decideHit
+} = require('./ai');
+
+const SEARCH = {
+  TIME_BUDGET: 250,     // CPU time per move (ms)
+  SLICE: 15,            // Longest stretch before yielding to other work (ms)
+  MAX_ITERATIONS: 5000,
+  EXPLORATION: 1.5,     // UCB exploration weight, in stakes
+  MIN_VISITS: 10,       // Visits before a move's average is trusted
+  MAX_ACTIONS: 200      // Playout guard
+};
+
+// Playouts: the searching AI plays on as the hard AI, opponents as the medium AI
+const ROLLOUT = AI_DIFFICULTY.MEDIUM;
+const ROLLOUT_SELF = AI_DIFFICULTY.HARD;
+
+// The AI's result from a finished hand, in stakes - winners split the pot and the losers'
+// multiplier bonuses, and a caught dropper pays the penalty on top
+function scoreHand(state, playerId) {
+  const players = state.players.length;
+  const winners = state.winners || [state.winner];
+  const multiplier = state.winningMultiplier || 1;
+  const penalty = state.showdown?.caught ? getRules(state).caughtDropPenalty : 0;
+
+  if (winners.includes(playerId)) {
+    const prize = players + (players - winners.length) * (multiplier - 1) + penalty;
+    return prize / winners.length - 1;
+  }
+
+  return -multiplier - (state.showdown?.caught && state.showdown.droppedBy === playerId ? penalty : 0);
+}
+
+// Deal the unseen cards into opponents' unknown hand slots and the deck.
+// Returns null if the public record doesn't add up (games from before it was kept).
+function determinize(state, aiPlayer, model) {
+  const pool = shuffle(model.unseen);
+  const sim = structuredClone(state);
+
+  for (const player of sim.players) {
+    if (player.id === aiPlayer.id) continue;
+
+    const known = (player.taken || []).filter(t => player.hand.some(c => c.id === t.id));
+    const count = player.hand.length - known.length;
+
+    if (count > pool.length) return null;
+    player.hand = [...known, ...pool.splice(0, count)];
+  }
+
+  if (pool.length !== sim.deck.length) return null;
+  sim.deck = pool;
+
+  return sim;
+}
+
+function act(state, action) {
+  return applyAction(state, action).state;
+}
+
+// Spread and hit the way processAITurns does after a draw
+function playSpreadAndHit(state, playerId, difficulty) {
+  const player = () => state.players.find(p => p.id === playerId);
+
+  const spreadCardIds = shouldPlaySpread(player(), state, difficulty);
+  if (spreadCardIds) state = act(state, { type: 'spread', playerId, cardIds: spreadCardIds });
+  if (state.status !== 'playing') return state;
+
+  const hit = decideHit(player(), state, difficulty);
+  if (hit) state = act(state, { type: 'hit', playerId, cardId: hit.cardId, spreadId: hit.spreadId });
+
+  return state;
+}
+
+// Play out the rest of the hand with the heuristic AI in every seat
+function playout(state, selfId) {
+  let guard = SEARCH.MAX_ACTIONS;
+
+  while (state.status === 'playing' && guard-- > 0) {
+    const playerId = state.players[state.currentPlayerIndex].id;
+    const player = () => state.players.find(p => p.id === playerId);
+    const difficulty = playerId === selfId ? ROLLOUT_SELF : ROLLOUT;
+
+    if (!player().hasDrawn) {
+      if (shouldDrop(player(), state, difficulty)) {
+        state = act(state, { type: 'drop', playerId });
+        break;
+      }
+
+      state = act(state, { type: 'draw', playerId, source: decideDrawSource(state, player(), difficulty) });
+      if (state.status !== 'playing') break;
+
+      state = playSpreadAndHit(state, playerId, difficulty);
+      if (state.status !== 'playing') break;
+    }
+
+    state = act(state, { type: 'discard', playerId, cardId: decideCardToDiscard(player().hand, state, difficulty) });
+  }
+
+  return state;
+}
+
+function createNode() {
+  return { visits: 0, available: 0, total: 0, children: new Map() };
+}
+
+// Pick among the moves legal in this deal - untried ones first, then by UCB.
+// Moves are only compared over the deals where they were available.
+function selectChild(node, moves) {
+  const children = moves.map(move => {
+    if (!node.children.has(move.key)) node.children.set(move.key, createNode());
+
+    const child = node.children.get(move.key);
+    child.available += 1;
+    return { move, child };
+  });
+
+  const untried = children.filter(c => c.child.visits === 0);
+  if (untried.length) return untried[Math.floor(Math.random() * untried.length)];
+
+  const ucb = ({ child }) => child.total / child.visits + SEARCH.EXPLORATION * Math.sqrt(Math.log(child.available) / child.visits);
+  return children.reduce((best, c) => (ucb(c) > ucb(best) ? c : best));
+}
+
+function discardMoves(state, playerId) {
+  return state.players.find(p => p.id === playerId).hand.map(card => ({
+    key: card.id,
+    action: { type: 'discard', playerId, cardId: card.id }
+  }));
+}
+
+// Moves at the start of a turn: drop (when legal), or draw from either pile
+function openingMoves(state, playerId) {
+  return ['drop', 'deck', 'discard']
+    .map(key => ({
+      key,
+      action: key === 'drop' ? { type: 'drop', playerId } : { type: 'draw', playerId, source: key }
+    }))
+    .filter(move => isValidMove(state, playerId, move.action.type, move.action).valid);
+}
+
+// One iteration: walk the AI's moves for this turn down the tree, play the hand out, back up the result
+function runIteration(root, sim, playerId) {
+  const path = [root];
+  let node = root;
+  let state = sim;
+
+  if (!state.players.find(p => p.id === playerId).hasDrawn) {
+    const { move, child } = selectChild(node, openingMoves(state, playerId));
+    state = act(state, move.action);
+    path.push(node = child);
+
+    if (state.status === 'playing' && move.action.type === 'draw') {
+      state = playSpreadAndHit(state, playerId, ROLLOUT_SELF);
+    }
+  }
+
+  if (state.status === 'playing') {
+    const { move, child } = selectChild(node, discardMoves(state, playerId));
+    state = act(state, move.action);
+    path.push(child);
+  }
+
+  const reward = scoreHand(playout(state, playerId), playerId);
+
+  path.forEach(n => {
+    n.visits += 1;
+    n.total += reward;
+  });
+}
+
+// The move with the best average result among those searched enough (or the most searched)
+function bestMove(root) {
+  const children = [...root.children.entries()].filter(([, child]) => child.visits > 0);
+  const trusted = children.filter(([, child]) => child.visits >= SEARCH.MIN_VISITS);
+  const pick = trusted.length
+    ? trusted.reduce((best, c) => (c[1].total / c[1].visits > best[1].total / best[1].visits ? c : best))
+    : children.reduce((best, c) => (c[1].visits > best[1].visits ? c : best), children[0]);
+
+  return pick?.[0] ?? null;
+}
+
+// Search the AI's move - its opening ('drop', 'deck' or 'discard') before it draws, or the card to
+// discard after. Yields between slices so other games keep moving. Returns null if it can't search.
+async function searchMove(state, aiPlayer, budget = SEARCH.TIME_BUDGET) {
+  const moves = aiPlayer.hasDrawn ? discardMoves(state, aiPlayer.id) : openingMoves(state, aiPlayer.id);
+  if (moves.length <= 1) return moves[0]?.key ?? null;
+
+  const model = buildOpponentModel(state, aiPlayer);
+  const root = createNode();
+  let spent = 0;
+  let iterations = 0;
+
+  while (spent < budget && iterations < SEARCH.MAX_ITERATIONS) {
+    const sliceStart = performance.now();
+
+    while (performance.now() - sliceStart < SEARCH.SLICE && iterations < SEARCH.MAX_ITERATIONS) {
+      const sim = determinize(state, aiPlayer, model);
+      if (!sim) return null;
+
+      runIteration(root, sim, aiPlayer.id);
+      iterations += 1;
+    }
+
+    spent += performance.now() - sliceStart;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return bestMove(root);
+}
+
+module.exports = {
+  SEARCH,
+  scoreHand,
+  searchMove
+};
@@ -0,0 +1,67 @@
+// Lobby counters - pushed to the lobby as tables change, instead of recounted on a timer
+const Table = require('../models/Table');
+const { getSpectatorCount, emitTableUpdate, emitPlayerCountUpdate } = require('./socketHelpers');
+
+const LOBBY = {
+  COUNT_DELAY: 1000   // Batch player count updates from a burst of seat changes (ms)
+};
+
+// A table as the lobby lists it
+function getTableSummary(table) {
+  return {
+    id: table._id,
+    tableId: table.tableId,
+    amount: table.amount,
+    maxPlayers: table.maxPlayers,
+    currentPlayers: table.currentPlayers,
+    status: table.status,
+    seats: table.seats.map(s => ({ index: s.index, playerId: s.playerId, username: s.username })),
+    currentGame: table.currentGame,
+    spectators: getSpectatorCount(table.currentGame?.toString()),
+    activeGames: table.activeGames
+  };
+}
+
+// Humans seated at any table - every player in a game holds a seat until it ends
+async function countSeatedPlayers() {
+  const [result] = await Table.aggregate([
+    { $match: { isActive: true } },
+    { $group: { _id: null, count: { $sum: '$currentPlayers' } } }
+  ]);
+
+  return result?.count || 0;
+}
+
+let countTimer = null;
+
+function schedulePlayerCount() {
+  if (countTimer) return;
+
+  countTimer = setTimeout(async () => {
+    countTimer = null;
+
+    try {
+      emitPlayerCountUpdate(await countSeatedPlayers());
+    } catch (error) {
+      console.error('Player count update error:', error);
+    }
+  }, LOBBY.COUNT_DELAY);
+}
+
+// Send the lobby a table's new state (private tables stay out of the lobby)
+function publishTable(table) {
+  if (!table) return;
+
+  schedulePlayerCount();
+
+  if (!table.isPrivate) {
+    emitTableUpdate(getTableSummary(table));
+  }
+}
+
+module.exports = {
+  LOBBY,
+  getTableSummary,
+  countSeatedPlayers,
+  publishTable
+};
@@ -0,0 +1,78 @@
+// Multi-hand match scoring - each hand's winners score the hand's multiplier in points
+
+// Hard stop for matches played to a target score
+const MAX_MATCH_HANDS = 50;
+
+// Starting standings for a set of seats
+function createStandings(seats) {
+  return seats.map(seat => ({ playerId: seat.id, points: 0, handsWon: 0 }));
+}
+
+// Record a finished hand and add its points to the standings (tied winners split the points)
+function recordHand(match, game) {
+  const winners = game.winners?.length ? [...game.winners] : [game.winner];
+  const points = game.winningMultiplier / winners.length;
+
+  match.hands.push({
+    game: game._id,
+    handNumber: match.hands.length + 1,
+    firstPlayerIndex: getFirstPlayerIndex(match, match.hands.length),
+    winners,
+    winType: game.winType,
+    multiplier: game.winningMultiplier,
+    scores: game.players.map(p => ({ playerId: p.id, score: p.score })),
+    endTime: game.endTime
+  });
+
+  winners.forEach(id => {
+    const standing = match.standings.find(s => s.playerId === id);
+    if (standing) {
+      standing.points += points;
+      standing.handsWon += 1;
+    }
+  });
+
+  // Seats forfeited during the hand stay on autopilot for the rest of the match
+  game.players.forEach(p => {
+    const seat = match.seats.find(s => s.id === p.id);
+    if (seat && p.forfeited) {
+      seat.forfeited = true;
+      seat.isAI = true;
+    }
+  });
+
+  return match;
+}
+
+// Check if a match has played its last hand
+function isMatchOver(match) {
+  if (match.hands.length >= MAX_MATCH_HANDS) {
+    return true;
+  }
+
+  if (match.format === 'score') {
+    return match.standings.some(s => s.points >= match.targetScore);
+  }
+
+  return match.hands.length >= match.handsToPlay;
+}
+
+// Players with the most points (more than one on a tie)
+function getMatchWinners(match) {
+  const best = Math.max(...match.standings.map(s => s.points));
+  return match.standings.filter(s => s.points === best).map(s => s.playerId);
+}
+
+// The first player rotates one seat each hand
+function getFirstPlayerIndex(match, handIndex = match.hands.length) {
+  return handIndex % match.seats.length;
+}
+
+module.exports = {
+  MAX_MATCH_HANDS,
+  createStandings,
+  recordHand,
+  isMatchOver,
+  getMatchWinners,
+  getFirstPlayerIndex
+};
@@ -0,0 +1,48 @@
+// Matchmaking queue - humans wait in a 'waiting' game for their stake until it fills or the wait runs out
+
+const QUEUE = {
+  DEFAULT_WAIT: 30,   // Seconds a waiting game holds before AI fill the empty seats
+  SEATS: 4            // Players per game
+};
+
+// When a waiting game starts even if it isn't full (ms since epoch)
+function getQueueDeadline(table, now = Date.now()) {
+  const wait = table?.queueWaitTime ?? QUEUE.DEFAULT_WAIT;
+  return now + wait * 1000;
+}
+
+// Check if a waiting game should start now
+function isQueueReady(game, now = Date.now()) {
+  const seats = game.maxPlayers || QUEUE.SEATS;
+  return game.players.length >= seats || new Date(game.queueDeadline).getTime() <= now;
+}
+
+// Queue positions and estimated waits (seconds) for every queued player at a stake.
+// waitingGames must be sorted oldest first; the oldest game fills (and starts) first.
+function buildQueueStatus(waitingGames, now = Date.now()) {
+  const queue = [];
+
+  waitingGames.forEach(game => {
+    const estimatedWait = Math.max(0, Math.ceil((new Date(game.queueDeadline).getTime() - now) / 1000));
+
+    game.players.forEach(player => {
+      queue.push({
+        playerId: player.id,
+        username: player.username,
+        gameId: game._id.toString(),
+        position: queue.length + 1,
+        seatsFilled: game.players.length,
+        estimatedWait
+      });
+    });
+  });
+
+  return queue;
+}
+
+module.exports = {
+  QUEUE,
+  getQueueDeadline,
+  isQueueReady,
+  buildQueueStatus
+};
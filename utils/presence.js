@@ -0,0 +1,53 @@
+// Player presence - which users have a live socket, and since when the others have been away
+const { getBroker } = require('./pubsub');
+
+const PRESENCE = {
+  GRACE_PERIOD: 30,   // Seconds a disconnected player has to come back before AI plays for them
+  TTL: 60000,         // A socket drops out of presence this long after its process last renewed it (ms)
+  HEARTBEAT: 20000    // How often each process renews its sockets (ms)
+};
+
+// Each user's open sockets are a set on the broker, so a user connected to any server process counts
+// as online. Each process renews its own sockets on a heartbeat; a process that dies stops renewing,
+// and its sockets drop out after the TTL.
+const presenceKey = userId => `presence:${userId}`;
+
+// Sockets connected to this process: socketId -> userId
+const localSockets = new Map();
+
+// Record a new socket for a user. Resolves true if the user was offline before.
+async function markOnline(userId, socketId) {
+  localSockets.set(socketId, userId);
+  return (await getBroker().addMember(presenceKey(userId), socketId, PRESENCE.TTL)) === 1;
+}
+
+// Drop a socket for a user. Resolves true if that was their last one on any process.
+async function markOffline(userId, socketId) {
+  localSockets.delete(socketId);
+  return (await getBroker().removeMember(presenceKey(userId), socketId)) === 0;
+}
+
+async function isOnline(userId) {
+  return (await getBroker().countMembers(presenceKey(userId))) > 0;
+}
+
+// Renew this process's sockets before they expire
+async function refreshPresence() {
+  for (const [socketId, userId] of localSockets) {
+    await getBroker().addMember(presenceKey(userId), socketId, PRESENCE.TTL);
+  }
+}
+
+// Check if an away player's grace period has run out
+function isGraceExpired(awaySince, now = Date.now()) {
+  return !!awaySince && new Date(awaySince).getTime() + PRESENCE.GRACE_PERIOD * 1000 <= now;
+}
+
+module.exports = {
+  PRESENCE,
+  markOnline,
+  markOffline,
+  isOnline,
+  refreshPresence,
+  isGraceExpired
+};
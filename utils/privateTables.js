@@ -0,0 +1,67 @@
+// Private tables - invite-only tables players create for themselves, joined with a short code
+const crypto = require('crypto');
+const Table = require('../models/Table');
+
+const PRIVATE_TABLE = {
+  CODE_LENGTH: 6,
+  CODE_ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',  // No 0/O or 1/I mix-ups
+  MIN_SEATS: 2,
+  MAX_SEATS: 4,
+  MAX_PER_USER: 3,     // Private tables a user may own at once
+  IDLE_TIMEOUT: 30,    // Minutes an empty private table lives before it is removed
+  SWEEP_INTERVAL: 60000
+};
+
+function generateJoinCode() {
+  let code = '';
+
+  for (let i = 0; i < PRIVATE_TABLE.CODE_LENGTH; i++) {
+    code += PRIVATE_TABLE.CODE_ALPHABET[crypto.randomInt(PRIVATE_TABLE.CODE_ALPHABET.length)];
+  }
+
+  return code;
+}
+
+// Codes are typed in by players, so compare them case-insensitively
+function normalizeJoinCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Create a private table with a fresh join code (retrying on the rare code collision)
+async function createPrivateTable(fields) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await Table.create({
+        ...fields,
+        tableId: `private-${crypto.randomBytes(6).toString('hex')}`,
+        isPrivate: true,
+        joinCode: generateJoinCode()
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not generate a unique join code');
+}
+
+// Remove private tables nobody has sat at for IDLE_TIMEOUT minutes. Returns how many went.
+async function removeIdleTables(now = Date.now()) {
+  const result = await Table.deleteMany({
+    isPrivate: true,
+    status: 'open',
+    currentGame: null,
+    seats: { $size: 0 },
+    lastUpdated: { $lt: new Date(now - PRIVATE_TABLE.IDLE_TIMEOUT * 60 * 1000) }
+  });
+
+  return result.deletedCount;
+}
+
+module.exports = {
+  PRIVATE_TABLE,
+  generateJoinCode,
+  normalizeJoinCode,
+  createPrivateTable,
+  removeIdleTables
+};
@@ -0,0 +1,206 @@
+// Pub/sub, locks and sets shared by every server process.
+// A broker has: publish(channel, message), subscribe(channel, handler) -> unsubscribe,
+// lock(key, ttl) -> token or null, unlock(key, token), addMember(key, member, ttl), removeMember(key, member)
+// and countMembers(key) -> the set's size afterwards, and shared (true when other processes see it).
+// Set members expire ttl ms after they were last added, so entries from a process that died drop out.
+// The in-memory broker serves a single process and tests; the Redis broker lets several processes
+// share socket broadcasts, game locks and presence.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Messages go over the wire as JSON, so the memory broker copies them the same way
+const encode = message => JSON.stringify(message);
+const decode = raw => JSON.parse(raw);
+
+function createMemoryBroker() {
+  const emitter = new EventEmitter();
+  const locks = new Map();
+  const sets = new Map();
+  const expiryTimers = new Map();
+
+  // A set's members that haven't expired (null if there are none)
+  const liveMembers = key => {
+    const set = sets.get(key);
+    if (!set) return null;
+
+    const now = Date.now();
+    set.forEach((expires, member) => {
+      if (expires <= now) set.delete(member);
+    });
+
+    if (set.size === 0) {
+      sets.delete(key);
+      return null;
+    }
+    return set;
+  };
+
+  // Drop a set once its last member expires, so sets nobody touches again don't pile up
+  const scheduleExpiry = key => {
+    clearTimeout(expiryTimers.get(key));
+    expiryTimers.delete(key);
+
+    const set = liveMembers(key);
+    if (!set) return;
+
+    const timer = setTimeout(() => scheduleExpiry(key), Math.max(...set.values()) - Date.now());
+    timer.unref?.();
+    expiryTimers.set(key, timer);
+  };
+
+  emitter.setMaxListeners(0);
+
+  return {
+    shared: false,
+
+    async publish(channel, message) {
+      emitter.emit(channel, decode(encode(message)));
+    },
+
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+
+    async lock(key, ttl) {
+      const held = locks.get(key);
+
+      if (held && held.expires > Date.now()) return null;
+
+      const token = crypto.randomBytes(16).toString('hex');
+      locks.set(key, { token, expires: Date.now() + ttl });
+      return token;
+    },
+
+    async unlock(key, token) {
+      if (locks.get(key)?.token === token) {
+        locks.delete(key);
+      }
+    },
+
+    async addMember(key, member, ttl) {
+      const set = liveMembers(key) || new Map();
+
+      set.set(member, Date.now() + ttl);
+      sets.set(key, set);
+      scheduleExpiry(key);
+      return set.size;
+    },
+
+    async removeMember(key, member) {
+      const set = liveMembers(key);
+
+      if (!set) return 0;
+
+      set.delete(member);
+      scheduleExpiry(key);
+      return set.size;
+    },
+
+    async countMembers(key) {
+      return liveMembers(key)?.size || 0;
+    },
+
+    async close() {
+      emitter.removeAllListeners();
+      locks.clear();
+      sets.clear();
+      expiryTimers.forEach(timer => clearTimeout(timer));
+      expiryTimers.clear();
+    }
+  };
+}
+
+// Only delete a lock we still own - another process may hold it after ours expired
+const UNLOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Redis broker over node-redis v4 style clients. Subscribing ties up a connection, so it takes two:
+// publisher: publish(channel, string), set(key, value, { NX, PX }), eval(script, { keys, arguments }),
+//   multi() with zAdd, zRem, zRemRangeByScore, zCard and pExpire, quit()
+// Sets are sorted sets scored by each member's expiry time.
+// subscriber: subscribe(channel, listener), unsubscribe(channel, listener), quit()
+function createRedisBroker({ publisher, subscriber, prefix = 'reemteam:' }) {
+  return {
+    shared: true,
+
+    async publish(channel, message) {
+      await publisher.publish(prefix + channel, encode(message));
+    },
+
+    subscribe(channel, handler) {
+      const listener = raw => handler(decode(raw));
+
+      Promise.resolve(subscriber.subscribe(prefix + channel, listener)).catch(error => {
+        console.error(`Redis subscribe to ${channel} failed:`, error);
+      });
+      return () => subscriber.unsubscribe(prefix + channel, listener);
+    },
+
+    async lock(key, ttl) {
+      const token = crypto.randomBytes(16).toString('hex');
+      const result = await publisher.set(`${prefix}lock:${key}`, token, { NX: true, PX: ttl });
+      return result === 'OK' ? token : null;
+    },
+
+    async unlock(key, token) {
+      await publisher.eval(UNLOCK_SCRIPT, { keys: [`${prefix}lock:${key}`], arguments: [token] });
+    },
+
+    async addMember(key, member, ttl) {
+      const setKey = `${prefix}set:${key}`;
+      const now = Date.now();
+      const [, , size] = await publisher.multi()
+        .zAdd(setKey, { score: now + ttl, value: member })
+        .zRemRangeByScore(setKey, '-inf', now)
+        .zCard(setKey)
+        .pExpire(setKey, ttl)
+        .exec();
+      return size;
+    },
+
+    async removeMember(key, member) {
+      const setKey = `${prefix}set:${key}`;
+      const [, , size] = await publisher.multi()
+        .zRem(setKey, member)
+        .zRemRangeByScore(setKey, '-inf', Date.now())
+        .zCard(setKey)
+        .exec();
+      return size;
+    },
+
+    async countMembers(key) {
+      const setKey = `${prefix}set:${key}`;
+      const [, size] = await publisher.multi()
+        .zRemRangeByScore(setKey, '-inf', Date.now())
+        .zCard(setKey)
+        .exec();
+      return size;
+    },
+
+    async close() {
+      await Promise.all([publisher.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+let broker = createMemoryBroker();
+
+function getBroker() {
+  return broker;
+}
+
+// Swap the broker (at startup, or in tests). Subscribers must subscribe again on the new one.
+function setBroker(next) {
+  broker = next;
+}
+
+module.exports = {
+  createMemoryBroker,
+  createRedisBroker,
+  getBroker,
+  setBroker
+};
@@ -0,0 +1,110 @@
+// Zero-sum pot settlement - every dollar paid out was collected from a player.
+// Amounts are worked in whole cents so a settlement always balances exactly.
+
+const toCents = amount => Math.round((amount || 0) * 100);
+const toDollars = cents => cents / 100;
+
+// AI seats never pay in; a human on autopilot still owns their seat
+const isAISeat = player => player.id.startsWith('ai-');
+
+// House rake on a pot in cents (percent of the pot, optionally capped)
+function calculateRake(potCents, rakePercent = 0, rakeCap) {
+  const rake = Math.floor(potCents * (rakePercent || 0) / 100);
+  return rakeCap != null ? Math.min(rake, toCents(rakeCap)) : rake;
+}
+
+// Settle a finished pot.
+// players:  [{ id, forfeited, left, stakePaid }] - stakePaid is what was actually collected;
+//           players who left are charged nothing beyond it
+// winnerIds: ids splitting the pot
+// multiplier: win multiplier - each losing human owes (multiplier - 1) x stake on top of their stake
+// penalty:  optional { playerId, amount } charged to a caught dropper
+// balances: { [playerId]: balance } - charges are capped by what each loser can pay
+// rake:     { percent, cap } from the table
+// Returns dollar amounts plus one ledger entry per player.
+function settlePot({ players, winnerIds, stake, multiplier = 1, penalty, balances = {}, rake = {} }) {
+  const entries = players.map(p => ({
+    playerId: p.id,
+    staked: toCents(p.stakePaid),
+    charged: 0,
+    payout: 0
+  }));
+  const entryFor = id => entries.find(e => e.playerId === id);
+  const available = {};
+
+  players.forEach(p => {
+    available[p.id] = isAISeat(p) || p.left ? 0 : toCents(balances[p.id]);
+  });
+
+  // Only stakes actually collected go in the pot
+  const potCents = entries.reduce((sum, e) => sum + e.staked, 0);
+
+  // Multiplier bonuses are charged to the losing human players
+  let bonusCents = 0;
+  const bonusDue = toCents(stake) * Math.max(0, (multiplier || 1) - 1);
+
+  players.forEach(p => {
+    if (isAISeat(p)) return;
+    if (winnerIds.includes(p.id)) return;
+
+    const charge = Math.min(bonusDue, available[p.id]);
+    entryFor(p.id).charged += charge;
+    available[p.id] -= charge;
+    bonusCents += charge;
+  });
+
+  // A caught dropper pays a penalty on top of any bonus
+  let penaltyCents = 0;
+
+  if (penalty?.amount && entryFor(penalty.playerId)) {
+    penaltyCents = Math.min(toCents(penalty.amount), available[penalty.playerId] || 0);
+    entryFor(penalty.playerId).charged += penaltyCents;
+    available[penalty.playerId] -= penaltyCents;
+  }
+
+  // The house takes its rake from the pot, then the winners split the rest to the cent
+  const rakeCents = calculateRake(potCents, rake.percent, rake.cap);
+  const prizeCents = potCents + bonusCents + penaltyCents - rakeCents;
+  const shareCents = Math.floor(prizeCents / winnerIds.length);
+
+  // Shares won by AI or forfeited seats, plus rounding, go to the house
+  let houseCents = prizeCents - shareCents * winnerIds.length;
+
+  winnerIds.forEach(id => {
+    const player = players.find(p => p.id === id);
+
+    if (!player || isAISeat(player) || player.forfeited) {
+      houseCents += shareCents;
+      return;
+    }
+
+    entryFor(id).payout += shareCents;
+  });
+
+  const collected = entries.reduce((sum, e) => sum + e.staked + e.charged, 0);
+  const paid = entries.reduce((sum, e) => sum + e.payout, 0);
+
+  if (collected !== paid + rakeCents + houseCents) {
+    throw new Error('Settlement does not balance');
+  }
+
+  return {
+    pot: toDollars(potCents),
+    bonuses: toDollars(bonusCents),
+    penalty: toDollars(penaltyCents),
+    rake: toDollars(rakeCents),
+    house: toDollars(houseCents),
+    entries: entries.map(e => ({
+      playerId: e.playerId,
+      staked: toDollars(e.staked),
+      charged: toDollars(e.charged),
+      payout: toDollars(e.payout),
+      net: toDollars(e.payout - e.staked - e.charged)
+    }))
+  };
+}
+
+module.exports = {
+  calculateRake,
+  settlePot
+};
@@ -1,34 +1,245 @@
 //  Socket.IO helper functions for real-time game updates
+const { sanitizeGameForPlayer, findLeakedCards } = require('./gameView');
+const { getBroker } = require('./pubsub');
+const { PRESENCE } = require('./presence');
 
 let io = null;
 
-// Initialize Socket.IO instance
+// Every emit is published on the broker and delivered by each server process to its own sockets
+const BROADCAST_CHANNEL = 'socket:broadcast';
+const SPECTATOR_VIEW_CHANNEL = 'socket:spectatorView';
+const SPECTATOR_COUNT_CHANNEL = 'socket:spectatorCount';
+
+// Spectators see game events this many seconds late, so they can't relay them to a seated player
+const SPECTATOR_DELAY = Number(process.env.SPECTATOR_DELAY ?? 10);
+
+// Latest (delayed) spectator view of each watched game
+const spectatorViews = new Map();
+
+// Spectators of each game on every process - the sets live on the broker, the counts are cached here
+const spectatorCounts = new Map();
+
+// Initialize Socket.IO instance and start delivering broadcasts from the broker
 function initializeSocket(socketIO) {
   io = socketIO;
+  
+  const broker = getBroker();
+  
+  broker.subscribe(BROADCAST_CHANNEL, ({ room, event, payload }) => {
+    io.to(room).emit(event, payload);
+  });
+  
+  broker.subscribe(SPECTATOR_VIEW_CHANNEL, ({ gameId, game }) => {
+    if (game) {
+      spectatorViews.set(gameId, game);
+    } else {
+      spectatorViews.delete(gameId);
+    }
+  });
+  
+  broker.subscribe(SPECTATOR_COUNT_CHANNEL, ({ gameId, count }) => {
+    if (count > 0) {
+      spectatorCounts.set(gameId, count);
+    } else {
+      spectatorCounts.delete(gameId);
+    }
+  });
+}
+
+// Send an event to a room on every server process
+function broadcast(room, event, payload) {
+  getBroker().publish(BROADCAST_CHANNEL, { room, event, payload }).catch(error => {
+    console.error(`Broadcast of ${event} to ${room} failed:`, error);
+  });
+}
+
+// Room for one player's sockets in one game
+function getPlayerRoom(gameId, playerId) {
+  return `game-${gameId}-player-${playerId}`;
+}
+
+// Emit to a room unless the payload would reveal the deck or cards the viewer may not see.
+// viewerId is the only player whose hand may be face up (null for a shared room).
+function safeEmit(room, event, payload, viewerId = null) {
+  const leaks = findLeakedCards(payload, viewerId);
+  
+  if (leaks.length > 0) {
+    console.error(`Blocked ${event} to ${room} - it would reveal hidden cards:`, leaks);
+    return false;
+  }
+  
+  broadcast(room, event, payload);
+  return true;
 }
 
-// Emit game update to all players in a game room
-function emitGameUpdate(gameId, gameData) {
+// Room for spectators of a game
+function getSpectatorRoom(gameId) {
+  return `spectate-${gameId}`;
+}
+
+// Spectators of a game, on every server process
+function getSpectatorCount(gameId) {
+  if (!gameId) return 0;
+  return spectatorCounts.get(gameId.toString()) || 0;
+}
+
+const spectatorsKey = gameId => `spectators:${gameId}`;
+
+// Share a game's new spectator count with every process. Resolves to the count.
+async function publishSpectatorCount(gameId, count) {
+  await getBroker().publish(SPECTATOR_COUNT_CHANNEL, { gameId: gameId.toString(), count });
+  return count;
+}
+
+// Start a socket watching a game. Resolves to the game's spectator count.
+async function addSpectator(socket, gameId) {
+  socket.join(getSpectatorRoom(gameId));
+  return publishSpectatorCount(gameId, await getBroker().addMember(spectatorsKey(gameId), socket.id, PRESENCE.TTL));
+}
+
+// Stop a socket watching a game. Resolves to the game's spectator count.
+async function removeSpectator(socket, gameId) {
+  socket.leave(getSpectatorRoom(gameId));
+  return publishSpectatorCount(gameId, await getBroker().removeMember(spectatorsKey(gameId), socket.id));
+}
+
+// Renew this process's spectators before they expire (see PRESENCE.TTL), and recount games
+// watched only from other processes, in case one of them died
+async function refreshSpectators() {
   if (!io) return;
   
-  // Emit to game room
-  io.to(`game-${gameId}`).emit('gameUpdate', {
+  const prefix = getSpectatorRoom('');
+  const watched = new Set();
+  
+  for (const [room, sockets] of io.sockets.adapter.rooms) {
+    if (!room.startsWith(prefix)) continue;
+  
+    const gameId = room.slice(prefix.length);
+    let count = 0;
+    watched.add(gameId);
+  
+    for (const socketId of sockets) {
+      count = await getBroker().addMember(spectatorsKey(gameId), socketId, PRESENCE.TTL);
+    }
+  
+    await publishSpectatorCount(gameId, count);
+  }
+  
+  for (const [gameId, cached] of spectatorCounts) {
+    if (watched.has(gameId)) continue;
+  
+    const count = await getBroker().countMembers(spectatorsKey(gameId));
+    if (count !== cached) await publishSpectatorCount(gameId, count);
+  }
+}
+
+// Latest view sent to a game's spectators (null if nobody has watched it yet)
+function getSpectatorView(gameId) {
+  return spectatorViews.get(gameId.toString()) || null;
+}
+
+// What anyone not playing a game may see of it. A running game is only ever shown delayed -
+// until its first delayed update arrives, non-players see who is at the table and nothing of the play.
+function getNonPlayerView(game) {
+  if (game.status !== 'playing') {
+    return sanitizeGameForPlayer(game, null);
+  }
+  
+  const delayed = getSpectatorView(game._id);
+  if (delayed) return delayed;
+  
+  const { _id, status, stake, pot, tableId, isPrivate, match, tournament, handNumber, players } = typeof game.toObject === 'function' ? game.toObject() : game;
+  
+  return {
+    _id,
+    status,
+    stake,
+    pot,
+    tableId,
+    isPrivate,
+    match,
+    tournament,
+    handNumber,
+    players: players.map(({ id, username, avatar, isAI }) => ({ id, username, avatar, isAI })),
+    pending: true
+  };
+}
+
+// Replay a game event to its spectators after the delay.
+// Other processes' spectators can't be counted here, so with a shared broker every game is replayed.
+function emitToSpectators(gameId, payload) {
+  if (!io || (!getBroker().shared && getSpectatorCount(gameId) === 0)) return;
+  
+  setTimeout(() => {
+    if (payload.type === 'gameState' || payload.type === 'gameEnd') {
+      getBroker().publish(SPECTATOR_VIEW_CHANNEL, { gameId, game: payload.type === 'gameState' ? payload.game : null })
+        .catch(error => console.error('Spectator view publish failed:', error));
+    }
+    
+    safeEmit(getSpectatorRoom(gameId), 'gameUpdate', { ...payload, spectating: true });
+  }, SPECTATOR_DELAY * 1000);
+}
+
+// Emit game update to each player in a game - everyone gets only their own view
+function emitGameUpdate(gameId, game) {
+  if (!io) return;
+  
+  game.players
+    .filter(player => !player.id.startsWith('ai-'))
+    .forEach(player => {
+      safeEmit(getPlayerRoom(gameId, player.id), 'gameUpdate', {
+        type: 'gameState',
+        game: sanitizeGameForPlayer(game, player.id),
+        timestamp: Date.now()
+      }, player.id);
+    });
+  
+  // Spectators get a view with every hand hidden
+  emitToSpectators(gameId, {
     type: 'gameState',
-    game: gameData,
+    game: sanitizeGameForPlayer(game, null),
     timestamp: Date.now()
   });
 }
 
+// Send one player the current state of a game (e.g. after reconnecting)
+function emitGameSnapshot(gameId, playerId, game) {
+  if (!io) return;
+  
+  safeEmit(getPlayerRoom(gameId, playerId), 'gameUpdate', {
+    type: 'gameState',
+    game: sanitizeGameForPlayer(game, playerId),
+    resumed: true,
+    timestamp: Date.now()
+  }, playerId);
+}
+
 // Emit player action to game room
 function emitPlayerAction(gameId, playerId, action, data = {}) {
   if (!io) return;
   
-  io.to(`game-${gameId}`).emit('gameUpdate', {
+  const payload = {
     type: 'playerAction',
     playerId,
     action,
     data,
     timestamp: Date.now()
+  };
+  
+  safeEmit(`game-${gameId}`, 'gameUpdate', payload);
+  emitToSpectators(gameId, payload);
+}
+
+// Emit turn countdown to game room
+function emitTurnTimer(gameId, playerId, deadline) {
+  if (!io) return;
+  
+  safeEmit(`game-${gameId}`, 'gameUpdate', {
+    type: 'turnTimer',
+    playerId,
+    deadline,
+    remaining: Math.max(0, deadline - Date.now()),
+    timestamp: Date.now()
   });
 }
 
@@ -36,7 +247,7 @@ function emitPlayerAction(gameId, playerId, action, data = {}) {
 function emitLobbyUpdate(data = {}) {
   if (!io) return;
   
-  io.to('lobby').emit('lobbyUpdate', {
+  broadcast('lobby', 'lobbyUpdate', {
     type: 'update',
     ...data,
     timestamp: Date.now()
@@ -47,7 +258,7 @@ function emitLobbyUpdate(data = {}) {
 function emitPlayerCountUpdate(count) {
   if (!io) return;
   
-  io.to('lobby').emit('lobbyUpdate', {
+  broadcast('lobby', 'lobbyUpdate', {
     type: 'playerCount',
     count,
     timestamp: Date.now()
@@ -58,7 +269,7 @@ function emitPlayerCountUpdate(count) {
 function emitTableUpdate(tableData) {
   if (!io) return;
   
-  io.to('lobby').emit('lobbyUpdate', {
+  broadcast('lobby', 'lobbyUpdate', {
     type: 'tableUpdate',
     table: tableData,
     timestamp: Date.now()
@@ -66,15 +277,49 @@ function emitTableUpdate(tableData) {
 }
 
 // Emit game end notification
-function emitGameEnd(gameId, winner, pot, multiplier) {
+function emitGameEnd(gameId, winner, pot, multiplier, details = {}) {
   if (!io) return;
   
-  io.to(`game-${gameId}`).emit('gameUpdate', {
+  const payload = {
     type: 'gameEnd',
     winner,
     pot,
     multiplier,
+    ...details,
     timestamp: Date.now()
+  };
+  
+  safeEmit(`game-${gameId}`, 'gameUpdate', payload);
+  emitToSpectators(gameId, payload);
+}
+
+function getTournamentRoom(tournamentId) {
+  return `tournament-${tournamentId}`;
+}
+
+// Push a tournament's standings and bracket to everyone following it
+function emitTournamentUpdate(tournamentId, view, details = {}) {
+  if (!io) return;
+  
+  broadcast(getTournamentRoom(tournamentId), 'tournamentUpdate', {
+    ...view,
+    ...details,
+    timestamp: Date.now()
+  });
+}
+
+// Emit a chat message to its channel's room ('lobby' or 'game-<id>')
+function emitChatMessage(channel, message) {
+  if (!io) return;
+  
+  broadcast(channel, 'chatMessage', {
+    id: message._id,
+    channel,
+    userId: message.userId,
+    username: message.username,
+    text: message.text,
+    filtered: message.filtered,
+    timestamp: message.createdAt
   });
 }
 
@@ -82,25 +327,39 @@ function emitGameEnd(gameId, winner, pot, multiplier) {
 function emitError(socketId, error) {
   if (!io) return;
   
-  io.to(socketId).emit('error', {
+  broadcast(socketId, 'error', {
     message: error,
     timestamp: Date.now()
   });
 }
 
-// Get Socket.IO instance
+// Get this process's Socket.IO instance
 function getIO() {
   return io;
 }
 
 module.exports = {
+  SPECTATOR_DELAY,
   initializeSocket,
+  getPlayerRoom,
+  getSpectatorRoom,
+  getSpectatorCount,
+  addSpectator,
+  removeSpectator,
+  refreshSpectators,
+  getSpectatorView,
+  getNonPlayerView,
   emitGameUpdate,
+  emitGameSnapshot,
   emitPlayerAction,
+  emitTurnTimer,
   emitLobbyUpdate,
   emitPlayerCountUpdate,
   emitTableUpdate,
   emitGameEnd,
+  emitChatMessage,
+  getTournamentRoom,
+  emitTournamentUpdate,
   emitError,
   getIO
 };
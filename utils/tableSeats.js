@@ -0,0 +1,99 @@
+// Table seats - every change is a single atomic update, so currentPlayers always equals seats.length.
+// Each change is pushed to the lobby as it happens.
+const Table = require('../models/Table');
+const { publishTable } = require('./lobby');
+
+// Pipeline stage keeping the seat count in step with the seats array
+const COUNT_SEATS = { $set: { currentPlayers: { $size: '$seats' } } };
+
+// Sit a player at an open table matching the filter, at the requested seat or the first free one.
+// Fuller tables are tried first so games fill up. set is applied in the same update (e.g. to claim the table).
+// Private tables are skipped unless the filter asks for them (after the join code was checked).
+// Returns { table, seat } or null when no seat was free.
+async function takeSeat(filter, player, seatIndex, set = {}) {
+  const tables = await Table.find({ isPrivate: { $ne: true }, ...filter, isActive: true, status: 'open' })
+    .sort({ currentPlayers: -1, tableId: 1 })
+    .select('_id maxPlayers seats.index')
+    .lean();
+
+  for (const table of tables) {
+    const taken = table.seats.map(s => s.index);
+    const candidates = seatIndex !== undefined
+      ? [seatIndex]
+      : [...Array(table.maxPlayers).keys()].filter(i => !taken.includes(i));
+
+    for (const index of candidates) {
+      if (!Number.isInteger(index) || index < 0 || index >= table.maxPlayers) continue;
+
+      const seated = await Table.findOneAndUpdate(
+        {
+          _id: table._id,
+          status: 'open',
+          'seats.index': { $ne: index },
+          'seats.playerId': { $ne: player.id },
+          $expr: { $lt: ['$currentPlayers', '$maxPlayers'] }
+        },
+        {
+          $push: { seats: { index, playerId: player.id, username: player.username } },
+          $inc: { currentPlayers: 1 },
+          $set: { ...set, lastUpdated: new Date() }
+        },
+        { new: true }
+      );
+
+      if (seated) {
+        publishTable(seated);
+        return { table: seated, seat: index };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Remove a player from a table's seats. Returns the updated table, or null if they weren't seated.
+async function standUp(tableId, playerId) {
+  const table = await Table.findOneAndUpdate({ tableId, 'seats.playerId': playerId }, [
+    {
+      $set: {
+        seats: { $filter: { input: '$seats', cond: { $ne: ['$$this.playerId', playerId] } } },
+        lastUpdated: '$$NOW'
+      }
+    },
+    COUNT_SEATS
+  ], { new: true });
+
+  publishTable(table);
+  return table;
+}
+
+// Free a table after its game: stand its players up and open it for the next game
+async function releaseTable(tableId, playerIds, gameId) {
+  const table = await Table.findOneAndUpdate({ tableId }, [
+    {
+      $set: {
+        seats: { $filter: { input: '$seats', cond: { $not: [{ $in: ['$$this.playerId', playerIds] }] } } },
+        activeGames: { $filter: { input: '$activeGames', cond: { $ne: ['$$this', gameId] } } },
+        status: 'open',
+        currentGame: null,
+        lastUpdated: '$$NOW'
+      }
+    },
+    COUNT_SEATS
+  ], { new: true });
+
+  publishTable(table);
+  return table;
+}
+
+// Check if a player is sitting at any table
+function isSeated(playerId) {
+  return Table.exists({ 'seats.playerId': playerId });
+}
+
+module.exports = {
+  takeSeat,
+  standUp,
+  releaseTable,
+  isSeated
+};
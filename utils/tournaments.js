@@ -0,0 +1,256 @@
+// Sit-and-go tournaments - players buy in for chips, tables play down and their survivors
+// move up a round until a single final table plays down to the winner
+const crypto = require('crypto');
+const { settlePot } = require('./settlement');
+const { getRules } = require('./gameRules');
+
+const TOURNAMENT = {
+  TABLE_SIZE: 4,          // Players per table
+  ADVANCE_PER_TABLE: 2,   // Survivors that move up from each table before the final
+  MAX_TABLE_HANDS: 100    // A table stops here and its chip leaders move up
+};
+
+// Prize pool split (percent per place) for each field size we run
+const PAYOUT_SPLITS = {
+  4: [70, 30],
+  8: [50, 30, 20],
+  16: [40, 25, 15, 10, 5, 5]
+};
+
+const entrantFor = (tournament, id) => tournament.entrants.find(e => e.id === id);
+
+// Stake per hand (in chips) at the tournament's current level
+function getLevelStake(tournament) {
+  const schedule = tournament.stakeSchedule;
+  const level = Math.min(Math.floor(tournament.handsPlayed / tournament.handsPerLevel), schedule.length - 1);
+  return schedule[level];
+}
+
+// Shuffle the players still in and deal them round-robin onto as few tables as will hold them
+function seatRound(tournament, playerIds) {
+  const ids = [...playerIds];
+
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+
+  const tableCount = Math.ceil(ids.length / TOURNAMENT.TABLE_SIZE);
+  const tables = [...Array(tableCount).keys()].map(index => ({
+    round: tournament.round,
+    tableId: `tourney-${tournament._id}-r${tournament.round}-t${index + 1}`,
+    players: [],
+    handsPlayed: 0,
+    status: 'playing'
+  }));
+
+  ids.forEach((id, i) => tables[i % tableCount].players.push(id));
+
+  return tables;
+}
+
+function getRoundTables(tournament, round = tournament.round) {
+  return tournament.bracket.filter(t => t.round === round);
+}
+
+// The last round is a single table played down to one player
+function isFinalTable(tournament, table) {
+  return getRoundTables(tournament, table.round).length === 1;
+}
+
+function getAlivePlayers(tournament, table) {
+  return table.players.filter(id => entrantFor(tournament, id)?.status === 'playing');
+}
+
+// Knock players out. The ones who had fewer chips going into the hand finish lower.
+function eliminate(tournament, playerIds, chipsBefore = {}) {
+  let remaining = tournament.entrants.filter(e => e.status === 'playing').length;
+
+  [...playerIds]
+    .sort((a, b) => (chipsBefore[a] ?? entrantFor(tournament, a).chips) - (chipsBefore[b] ?? entrantFor(tournament, b).chips))
+    .forEach(id => {
+      const entrant = entrantFor(tournament, id);
+      entrant.status = 'eliminated';
+      entrant.place = remaining;
+      remaining -= 1;
+    });
+}
+
+// Settle a finished hand in chips and knock out anyone left without chips.
+// Every player antes the level stake (or all they have); losers owe the multiplier bonus like a cash game.
+function recordTournamentHand(tournament, table, game) {
+  const players = game.players.map(p => ({ id: p.id, forfeited: p.forfeited, left: p.left, stakePaid: p.stakePaid }));
+  const chipsBefore = {};
+  const balances = {};
+
+  players.forEach(p => {
+    chipsBefore[p.id] = entrantFor(tournament, p.id).chips;
+    balances[p.id] = chipsBefore[p.id] - p.stakePaid;
+  });
+
+  const winnerIds = game.winners?.length ? [...game.winners] : [game.winner];
+  const caught = game.showdown?.caught ? game.showdown.droppedBy : null;
+
+  const settlement = settlePot({
+    players,
+    winnerIds,
+    stake: game.stake,
+    multiplier: game.winningMultiplier,
+    penalty: caught ? { playerId: caught, amount: game.stake * getRules(game).caughtDropPenalty } : null,
+    balances
+  });
+
+  settlement.entries.forEach(entry => {
+    entrantFor(tournament, entry.playerId).chips += entry.net;
+  });
+
+  // A player who left is out - their remaining chips leave play with them
+  players.filter(p => p.left).forEach(p => {
+    entrantFor(tournament, p.id).chips = 0;
+  });
+
+  table.handsPlayed += 1;
+  table.lastGame = game._id;
+  table.game = undefined;
+  tournament.handsPlayed += 1;
+
+  const busted = players.map(p => p.id).filter(id => entrantFor(tournament, id).chips <= 0);
+  eliminate(tournament, busted, chipsBefore);
+
+  return { settlement, eliminated: busted };
+}
+
+// Check if a table has played down to its survivors
+function isTableFinished(tournament, table) {
+  const survivors = isFinalTable(tournament, table) ? 1 : TOURNAMENT.ADVANCE_PER_TABLE;
+  return getAlivePlayers(tournament, table).length <= survivors || table.handsPlayed >= TOURNAMENT.MAX_TABLE_HANDS;
+}
+
+// Close a table - its chip leaders move up and anyone else still seated is knocked out
+function finishTable(tournament, table) {
+  const survivors = isFinalTable(tournament, table) ? 1 : TOURNAMENT.ADVANCE_PER_TABLE;
+  const alive = getAlivePlayers(tournament, table)
+    .sort((a, b) => entrantFor(tournament, b).chips - entrantFor(tournament, a).chips);
+
+  eliminate(tournament, alive.slice(survivors));
+
+  table.status = 'finished';
+  table.advanced = alive.slice(0, survivors);
+  table.game = undefined;
+
+  return table.advanced;
+}
+
+function isRoundFinished(tournament) {
+  return getRoundTables(tournament).every(t => t.status === 'finished');
+}
+
+// Split a prize pool by place, to the cent - rounding goes to first place
+function calculatePayouts(prizePool, maxEntrants) {
+  const split = PAYOUT_SPLITS[maxEntrants] || [100];
+  const poolCents = Math.round(prizePool * 100);
+  const amounts = split.map(percent => Math.floor(poolCents * percent / 100));
+
+  amounts[0] += poolCents - amounts.reduce((sum, cents) => sum + cents, 0);
+
+  return split.map((percent, i) => ({ place: i + 1, percent, amount: amounts[i] / 100 }));
+}
+
+// Crown the last player standing and split the prize pool by place
+function completeTournament(tournament) {
+  tournament.entrants
+    .filter(e => e.status === 'playing')
+    .forEach(e => {
+      e.status = 'winner';
+      e.place = 1;
+    });
+
+  tournament.payouts = calculatePayouts(tournament.prizePool, tournament.maxEntrants).map(payout => {
+    const entrant = tournament.entrants.find(e => e.place === payout.place);
+
+    if (entrant) {
+      entrant.payout = payout.amount;
+    }
+
+    return { ...payout, playerId: entrant?.id };
+  });
+
+  tournament.status = 'finished';
+  tournament.endedAt = Date.now();
+
+  return tournament;
+}
+
+// Players still in by chip count, then everyone knocked out by finishing place
+function buildStandings(tournament) {
+  const tableOf = id => tournament.bracket.find(t => t.round === tournament.round && t.players.includes(id));
+
+  return [...tournament.entrants]
+    .sort((a, b) => {
+      if (a.place && b.place) return a.place - b.place;
+      if (a.place) return 1;
+      if (b.place) return -1;
+      return b.chips - a.chips;
+    })
+    .map(e => ({
+      playerId: e.id,
+      username: e.username,
+      chips: e.chips,
+      status: e.status,
+      place: e.place,
+      payout: e.payout,
+      tableId: e.status === 'playing' ? tableOf(e.id)?.tableId : undefined
+    }));
+}
+
+// What players and the lobby see of a tournament
+function getTournamentView(tournament) {
+  return {
+    id: tournament._id,
+    name: tournament.name,
+    status: tournament.status,
+    buyIn: tournament.buyIn,
+    maxEntrants: tournament.maxEntrants,
+    entrantCount: tournament.entrants.length,
+    prizePool: tournament.prizePool,
+    startingChips: tournament.startingChips,
+    stakeSchedule: tournament.stakeSchedule,
+    handsPerLevel: tournament.handsPerLevel,
+    currentStake: getLevelStake(tournament),
+    round: tournament.round,
+    handsPlayed: tournament.handsPlayed,
+    bracket: tournament.bracket.map(t => ({
+      round: t.round,
+      tableId: t.tableId,
+      players: t.players,
+      game: t.game,
+      handsPlayed: t.handsPlayed,
+      status: t.status,
+      advanced: t.advanced
+    })),
+    standings: buildStandings(tournament),
+    payouts: tournament.payouts.length
+      ? tournament.payouts
+      : calculatePayouts(tournament.prizePool, tournament.maxEntrants),
+    startedAt: tournament.startedAt,
+    endedAt: tournament.endedAt
+  };
+}
+
+module.exports = {
+  TOURNAMENT,
+  PAYOUT_SPLITS,
+  getLevelStake,
+  seatRound,
+  getRoundTables,
+  isFinalTable,
+  getAlivePlayers,
+  recordTournamentHand,
+  isTableFinished,
+  finishTable,
+  isRoundFinished,
+  calculatePayouts,
+  completeTournament,
+  buildStandings,
+  getTournamentView
+};
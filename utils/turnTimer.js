@@ -0,0 +1,48 @@
+// Server-enforced turn clock - a sweeper plays a default move for players who run out of time
+const { sortCardsByValue } = require('./cards');
+
+const TURN_TIMER = {
+  DEFAULT_LIMIT: 30,     // Seconds per turn when a table doesn't set one
+  MAX_STRIKES: 3,        // Timeouts before a player is forfeited to autopilot
+  SWEEP_INTERVAL: 5000   // How often the sweeper checks running turns (ms)
+};
+
+// When the current turn runs out (ms since epoch)
+function getTurnDeadline(game) {
+  const limit = (game.turnTimeLimit || TURN_TIMER.DEFAULT_LIMIT) * 1000;
+  return new Date(game.turnStartTime).getTime() + limit;
+}
+
+// Play the default move for a timed-out player: draw from the deck (unless already drawn)
+// and discard the highest card. Records a strike and forfeits the seat to autopilot after
+// too many. applyMove(state, action) applies one engine action and returns the next state.
+function playTimedOutTurn(state, applyMove) {
+  const playerId = state.players[state.currentPlayerIndex].id;
+  const seat = () => state.players.find(p => p.id === playerId);
+
+  if (!seat().hasDrawn) {
+    state = applyMove(state, { type: 'draw', playerId, source: 'deck' });
+  }
+
+  if (state.status === 'playing') {
+    const [highest] = sortCardsByValue(seat().hand, false);
+    state = applyMove(state, { type: 'discard', playerId, cardId: highest.id });
+  }
+
+  // Count the strike
+  const player = seat();
+  player.timeouts = (player.timeouts || 0) + 1;
+
+  if (player.timeouts >= TURN_TIMER.MAX_STRIKES && !player.isAI) {
+    player.isAI = true;
+    player.forfeited = true;
+  }
+
+  return { state, strikes: player.timeouts, forfeited: !!player.forfeited };
+}
+
+module.exports = {
+  TURN_TIMER,
+  getTurnDeadline,
+  playTimedOutTurn
+};